@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         OpenGuessr-Helper
 // @namespace    https://openguessr.com/
-// @version      1.7
+// @version      2.0
 // @description  A robust minimap for OpenGuessr featuring a custom DivIcon marker, world wrap functionality, and self-recreating UI elements. Includes dynamic iframe detection, status feedback, debounced place name requests, concise location display, improved readability, title bar, location caching, minimap view persistence, and advanced error handling.
 // @author       CeresF3b
 // @match        https://openguessr.com/*
@@ -12,42 +12,1346 @@
 (function() {
     'use strict';
 
-    // --- COSTANTS FOR CONFIGURATION ---
-    const DISTANCE_THRESHOLD_METERS = 100; // Threshold for reusing cached location name
-    const NOMINATIM_ERROR_THRESHOLD = 3; // Number of consecutive errors before showing unavailable message
-    const NOMINATIM_ERROR_RESET_TIMEOUT = 30000; // Reset error count after 30 seconds of success
+    // --- CONFIGURATION ---
+    // Every tunable value is described by SETTINGS_SCHEMA and read through the live `config`
+    // object. Values are edited in the settings panel, validated against the schema and
+    // stored versioned under og_helper_settings; SETTINGS_MIGRATIONS upgrades older data.
+    const SETTINGS_STORAGE_KEY = 'og_helper_settings';
+    const SETTINGS_VERSION = 2;
+    const SETTINGS_SCHEMA = [
+        { key: 'distanceThresholdMeters', group: 'Location names', type: 'number', min: 1, max: 5000, default: 100 },
+        { key: 'locationCacheTtlHours', group: 'Location names', type: 'number', min: 1, max: 8760, default: 168 },
+        { key: 'locationCacheMaxEntries', group: 'Location names', type: 'number', min: 10, max: 100000, integer: true, default: 2000 },
+        { key: 'compactFields', group: 'Location names', type: 'list', options: ['country', 'countryCode', 'state', 'county', 'municipality', 'city', 'road', 'postcode'], default: ['country', 'city'] },
+        { key: 'placeNameDebounceMs', group: 'Location names', type: 'number', min: 0, max: 10000, integer: true, default: 500 },
+        { key: 'geocoderBackends', group: 'Geocoding', type: 'list', options: ['nominatim', 'photon', 'custom'], default: ['nominatim', 'photon', 'custom'] },
+        { key: 'geocoderMinIntervalMs', group: 'Geocoding', type: 'number', min: 1000, max: 60000, integer: true, default: 1000 },
+        { key: 'geocoderErrorThreshold', group: 'Geocoding', type: 'number', min: 1, max: 20, integer: true, default: 3 },
+        { key: 'geocoderErrorResetMs', group: 'Geocoding', type: 'number', min: 1000, max: 600000, integer: true, default: 30000 },
+        { key: 'geocoderEmail', group: 'Geocoding', type: 'string', pattern: /^$|^[^@\s]+@[^@\s]+\.[^@\s]+$/, default: '' },
+        // Self-hosted geocoder: URL template with {lat}, {lng}, {lang} and {email} placeholders,
+        // and dotted JSON paths (alternatives separated by "|") mapping the response to address fields
+        { key: 'customGeocoderUrl', group: 'Geocoding', type: 'string', pattern: /^$|^https?:\/\//, default: '' },
+        { key: 'customGeocoderPaths', group: 'Geocoding', type: 'json', default: {
+            country: 'address.country',
+            country_code: 'address.country_code',
+            state: 'address.state',
+            city: 'address.city|address.town|address.village',
+            displayName: 'display_name'
+        } },
+        // Offline lookup: 'fallback' after the online backends, 'primary' before them, or 'off'
+        { key: 'offlineGeocoderMode', group: 'Offline lookup', type: 'enum', options: ['fallback', 'primary', 'off'], default: 'fallback' },
+        // Pinned boundary datasets (TopoJSON or GeoJSON), stored in IndexedDB after the first download
+        { key: 'offlineCountriesUrl', group: 'Offline lookup', type: 'string', pattern: /^https?:\/\//, default: 'https://cdn.jsdelivr.net/npm/world-atlas@2.0.2/countries-50m.json' },
+        { key: 'offlineRegionsUrl', group: 'Offline lookup', type: 'string', pattern: /^https?:\/\//, default: 'https://cdn.jsdelivr.net/gh/nvkelso/natural-earth-vector@v5.1.2/geojson/ne_50m_admin_1_states_provinces.geojson' },
+        { key: 'positionPollingFallback', group: 'Tracking', type: 'boolean', default: true },
+        { key: 'positionPollIntervalMs', group: 'Tracking', type: 'number', min: 250, max: 60000, integer: true, default: 5000 },
+        { key: 'statusTimeoutMs', group: 'Tracking', type: 'number', min: 1000, max: 120000, integer: true, default: 8000 },
+        { key: 'roundJumpThresholdMeters', group: 'History', type: 'number', min: 100, max: 100000, default: 2000 },
+        { key: 'tileCacheEnabled', group: 'Tile cache', type: 'boolean', default: true },
+        { key: 'tileCacheMaxMb', group: 'Tile cache', type: 'number', min: 0, max: 5000, integer: true, default: 200 },
+        { key: 'tileCacheMaxAgeDays', group: 'Tile cache', type: 'number', min: 0, max: 365, integer: true, default: 30 },
+        { key: 'tilePrefetchLevels', group: 'Tile cache', type: 'number', min: 0, max: 4, integer: true, default: 0 },
+        { key: 'leafletLocalUrl', group: 'Map library', type: 'string', pattern: /^$|^https?:\/\//, default: '' },
+        { key: 'leafletLoadTimeoutMs', group: 'Map library', type: 'number', min: 1000, max: 120000, integer: true, default: 10000 },
+        { key: 'leafletLoadRetries', group: 'Map library', type: 'number', min: 0, max: 5, integer: true, default: 1 },
+        { key: 'historyMaxRounds', group: 'History', type: 'number', min: 1, max: 10000, integer: true, default: 500 },
+        { key: 'distanceUnit', group: 'Layout', type: 'enum', options: ['metric', 'imperial', 'nautical'], default: 'metric' },
+        { key: 'mapOffsetPx', group: 'Layout', type: 'number', min: 0, max: 500, integer: true, default: 60 },
+        { key: 'snapToEdges', group: 'Layout', type: 'boolean', default: true },
+        { key: 'snapDistancePx', group: 'Layout', type: 'number', min: 0, max: 200, integer: true, default: 24 },
+        { key: 'theme', group: 'Appearance', type: 'enum', options: ['auto', 'light', 'dark', 'high-contrast', 'custom'], default: 'auto' },
+        { key: 'customPrimaryColor', group: 'Appearance', type: 'string', pattern: /^#[0-9a-fA-F]{6}$/, default: '#007bff' },
+        { key: 'customBackgroundColor', group: 'Appearance', type: 'string', pattern: /^#[0-9a-fA-F]{6}$/, default: '#ffffff' },
+        { key: 'customTextColor', group: 'Appearance', type: 'string', pattern: /^#[0-9a-fA-F]{6}$/, default: '#212529' },
+        { key: 'customBorderColor', group: 'Appearance', type: 'string', pattern: /^#[0-9a-fA-F]{6}$/, default: '#dee2e6' },
+        { key: 'markerColor', group: 'Appearance', type: 'string', pattern: /^$|^#[0-9a-fA-F]{6}$/, default: '' },
+        { key: 'markerSize', group: 'Appearance', type: 'number', min: 8, max: 40, integer: true, default: 16 },
+        // Interface language: 'auto' picks the first browser language with a catalogue in I18N_MESSAGES
+        { key: 'uiLanguage', group: 'Language', type: 'enum', options: ['auto', 'en', 'de', 'fr', 'es'], default: 'auto' },
+        // Place names: in the interface language, in the local language of the place, or in geocoderLanguage
+        { key: 'placeNameLanguage', group: 'Language', type: 'enum', options: ['interface', 'native', 'custom'], default: 'interface' },
+        { key: 'geocoderLanguage', group: 'Language', type: 'string', pattern: /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*(,\s*[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*)*$/, default: navigator.language || 'en' }
+    ];
+    // SETTINGS_MIGRATIONS[n] upgrades stored data from version n to n + 1
+    const SETTINGS_MIGRATIONS = {
+        // Version 0: a bare object of values without the version wrapper
+        0: data => ({ version: 1, values: data }),
+        // Version 1: geocoderLanguage was always sent; keep a language that differs from the browser's
+        1: data => {
+            const values = { ...data.values };
+            if (values.geocoderLanguage && values.geocoderLanguage !== navigator.language) values.placeNameLanguage = 'custom';
+            return { version: 2, values };
+        }
+    };
+
+    const config = {}; // Live configuration values, keyed by schema key
+
+    // Fixed layout dimensions
+    const LOCATION_BUTTON_SIZE = 50; // Width and height of the toggle button
+    const MINIMAP_MIN_WIDTH = 240;
+    const MINIMAP_MIN_HEIGHT = 200;
+    const LAYOUT_SNAP_MARGIN = 10; // Gap left between a snapped element and the screen edge
+
+    // --- LOCALISATION ---
+    // Message catalogues for the helper's own interface, keyed by language code. English is
+    // the complete reference catalogue and the other languages have exactly the same keys,
+    // including the labels of the settings schema, shortcuts, place fields, coordinate formats
+    // and built-in layer sources. {name} placeholders are filled by t().
+    const I18N_MESSAGES = {
+        en: {
+            'minimap.title': 'Minimap',
+            'minimap.toggle': 'Toggle minimap (arrow keys move it)',
+            'minimap.titleBar': 'Minimap title bar (arrow keys move the minimap)',
+            'minimap.resize': 'Resize minimap (arrow keys)',
+            'button.coordinates': 'Coordinates',
+            'button.measure': 'Measure distances',
+            'button.history': 'Round history',
+            'button.statistics': 'Statistics',
+            'button.export': 'Export / import locations',
+            'button.settings': 'Settings',
+            'button.popOut': 'Pop out into a separate window',
+            'button.shortcuts': 'Keyboard shortcuts',
+            'button.placeDetails': 'Place details',
+            'button.close': 'Close',
+            'button.retry': 'Retry',
+            'button.retryTitle': 'Try loading the map library again',
+            'panel.history': 'Round History',
+            'panel.layers': 'Layers',
+            'panel.statistics': 'Statistics',
+            'panel.export': 'Export / Import',
+            'panel.settings': 'Settings',
+            'panel.coordinates': 'Coordinates',
+            'location.label': 'Location: {name}',
+            'location.waiting': 'Location: Waiting...',
+            'location.unknown': 'Unknown',
+            'location.noDetails': 'No details found',
+            'location.lastKnown': '{name} (Last Known)',
+            'location.serviceUnavailable': 'Location Service Unavailable',
+            'location.nameUnavailable': 'Location Name Unavailable',
+            'location.cacheStats': 'Name cache: {hits} hits / {misses} misses ({size} entries)',
+            'place.empty': 'No place details available.',
+            'map.loading': 'Loading map library...',
+            'map.failed': 'Map library could not be loaded',
+            'status.label': 'Status: {status}',
+            'status.connected': 'Connected',
+            'status.disconnected': 'Waiting for position',
+            'status.error': 'Location service error',
+            'toast.popOutUnsupported': 'Pop-out is not supported in this browser',
+            'toast.popOutBlocked': 'The pop-out window was blocked by the browser',
+            'toast.boundariesFailed': 'Country boundaries could not be loaded',
+            'toast.clipboardFailed': 'Could not access the clipboard',
+            'toast.copied': '{label}: {text}',
+            'clipboard.copied': 'Copied',
+            'clipboard.coordinatesCopied': 'Coordinates copied',
+            'clipboard.formatCopied': '{format} copied',
+            'trail.travelled': 'Travelled: {distance}',
+            'trail.returnToStart': 'Return to start',
+            'measure.hint': 'Click on the map to measure',
+            'measure.total': 'Total: {distance}',
+            'measure.fromMarker': 'From marker: {distance}, {bearing}° {direction}',
+            'measure.unit': 'Distance unit',
+            'measure.undo': 'Undo last point',
+            'measure.clear': 'Clear',
+            'measure.stop': 'Stop measuring',
+            'history.empty': 'No rounds recorded yet.',
+            'history.currentSession': 'Current session',
+            'history.session': 'Session of {date}',
+            'history.replay': 'Replay this session',
+            'history.round': 'Round {number}: {place}',
+            'history.unknownPlace': 'Unknown place',
+            'history.moves': '{date} · {count} moves',
+            'replay.playPause': 'Play / pause',
+            'replay.speed': 'Playback speed',
+            'replay.stop': 'Stop replay',
+            'popOut.title': 'OpenGuessr Minimap',
+            'popOut.dock': 'Dock',
+            'popOut.dockTitle': 'Dock the minimap back into the game page',
+            'layers.manage': 'Manage layers',
+            'layers.overlays': 'Overlays (top of list is drawn on top)',
+            'layers.opacity': 'Opacity',
+            'layers.moveUp': 'Move up',
+            'layers.moveDown': 'Move down',
+            'layers.custom': 'Custom sources',
+            'layers.customSource': '{name} ({type}, {kind})',
+            'layers.kind.base': 'Base layer',
+            'layers.kind.overlay': 'Overlay',
+            'layers.remove': 'Remove source',
+            'layers.add': 'Add source',
+            'layers.field.name': 'Name',
+            'layers.field.type': 'Type',
+            'layers.field.kind': 'Use as',
+            'layers.field.url': 'URL',
+            'layers.field.attribution': 'Attribution',
+            'layers.field.maxZoom': 'Max zoom',
+            'layers.field.subdomains': 'Subdomains',
+            'layers.field.wmsLayers': 'WMS layers',
+            'layers.placeholderName': 'My layer',
+            'layers.addButton': 'Add',
+            'layers.error.name': 'Name is required',
+            'layers.error.kind': 'Kind must be base or overlay',
+            'layers.error.type': 'Type must be XYZ or WMS',
+            'layers.error.url': 'URL must start with http:// or https://',
+            'layers.error.xyzUrl': 'XYZ URL must contain {z}, {x} and {y}',
+            'layers.error.wmsLayers': 'WMS sources need at least one layer name',
+            'layers.error.maxZoom': 'Max zoom must be between 1 and 24',
+            'tileCache.title': 'Tile cache',
+            'tileCache.summary': '{tiles} tiles, {size} of {max} MB',
+            'tileCache.disabled': 'Disabled in the settings',
+            'tileCache.clearAll': 'Clear tile cache',
+            'tileCache.source': '{name}: {tiles} tiles, {size}',
+            'tileCache.clearSource': 'Clear cached tiles of this source',
+            'stats.sort': 'Sort',
+            'stats.from': 'From',
+            'stats.to': 'To',
+            'stats.shade': 'Shade countries on the map',
+            'stats.reset': 'Reset',
+            'stats.resetConfirm': 'Reset all statistics?',
+            'stats.empty': 'No rounds counted in this period.',
+            'stats.summary': '{rounds} rounds in {countries} countries',
+            'stats.countries': 'Countries',
+            'stats.regions': 'Regions',
+            'stats.country': 'Country',
+            'stats.region': 'Region',
+            'stats.rounds': 'Rounds',
+            'export.title': 'Export recorded rounds',
+            'export.import': 'Import as overlay',
+            'export.clear': 'Clear overlays',
+            'export.imported': 'Imported {tracks} track(s), {points} point(s) from {format}.',
+            'export.importFailed': 'Import failed: {error}',
+            'settings.save': 'Save',
+            'settings.reset': 'Reset defaults',
+            'settings.export': 'Export',
+            'settings.import': 'Import',
+            'settings.saved': 'Settings saved.',
+            'settings.readError': 'Could not read settings: {error}',
+            'settings.tooNew': 'Settings version {version} is newer than this script supports',
+            'settings.error.number': '{label}: must be a number',
+            'settings.error.integer': '{label}: must be a whole number',
+            'settings.error.range': '{label}: must be between {min} and {max}',
+            'settings.error.boolean': '{label}: must be true or false',
+            'settings.error.enum': '{label}: must be one of {options}',
+            'settings.error.list': '{label}: allowed values are {options}',
+            'settings.error.json': '{label}: invalid JSON',
+            'settings.error.object': '{label}: must be an object of strings',
+            'settings.error.text': '{label}: must be text',
+            'settings.error.invalid': '{label}: invalid value',
+            'option.fallback': 'fallback',
+            'option.primary': 'primary',
+            'option.off': 'off',
+            'option.metric': 'metric',
+            'option.imperial': 'imperial',
+            'option.nautical': 'nautical',
+            'option.auto': 'auto',
+            'option.light': 'light',
+            'option.dark': 'dark',
+            'option.high-contrast': 'high contrast',
+            'option.custom': 'custom',
+            'option.interface': 'interface language',
+            'option.native': 'local language',
+            'option.en': 'English',
+            'option.de': 'Deutsch',
+            'option.fr': 'Français',
+            'option.es': 'Español',
+            'shortcuts.change': 'Change',
+            'shortcuts.pressKeys': 'Press keys…',
+            'shortcuts.reset': 'Reset defaults',
+            'coordinates.goTo': 'Go to',
+            'coordinates.placeholder': 'Any format, e.g. 45.07, 7.68 or 32T LQ 96630 91599',
+            'coordinates.go': 'Go',
+            'coordinates.unrecognised': 'Unrecognised coordinates.',
+            'coordinates.waiting': 'Waiting for a position…',
+            'coordinates.copy': 'Click to copy',
+            'coordinates.unavailable': 'n/a',
+            'coordinateFormat.decimal': 'Decimal',
+            'coordinateFormat.dms': 'DMS',
+            'coordinateFormat.utm': 'UTM',
+            'coordinateFormat.mgrs': 'MGRS',
+            'coordinateFormat.olc': 'Plus Code',
+            'coordinateFormat.geohash': 'Geohash',
+            'layer.standard': 'Standard',
+            'layer.satellite': 'Satellite',
+            'layer.topographic': 'Topographic',
+            'layer.labels': 'Labels',
+            'layer.borders': 'Borders & Places',
+            'place.country': 'Country',
+            'place.countryCode': 'Country code',
+            'place.state': 'State / region',
+            'place.county': 'County',
+            'place.municipality': 'Municipality',
+            'place.city': 'City / town',
+            'place.road': 'Road',
+            'place.postcode': 'Postcode',
+            'shortcut.toggleMinimap': 'Toggle minimap',
+            'shortcut.recenter': 'Recenter on marker',
+            'shortcut.cycleLayers': 'Next base layer',
+            'shortcut.zoomIn': 'Zoom in',
+            'shortcut.zoomOut': 'Zoom out',
+            'shortcut.copyCoordinates': 'Copy coordinates',
+            'shortcut.returnToStart': 'Return to round start',
+            'shortcut.openHistory': 'Open round history',
+            'shortcut.cheatSheet': 'Show shortcuts',
+            'settingGroup.Location names': 'Location names',
+            'settingGroup.Geocoding': 'Geocoding',
+            'settingGroup.Offline lookup': 'Offline lookup',
+            'settingGroup.Tracking': 'Tracking',
+            'settingGroup.History': 'History',
+            'settingGroup.Tile cache': 'Tile cache',
+            'settingGroup.Map library': 'Map library',
+            'settingGroup.Layout': 'Layout',
+            'settingGroup.Appearance': 'Appearance',
+            'settingGroup.Language': 'Language',
+            'setting.distanceThresholdMeters': 'Reuse cached name within (m)',
+            'setting.locationCacheTtlHours': 'Cached name lifetime (hours)',
+            'setting.locationCacheMaxEntries': 'Max cached names',
+            'setting.compactFields': 'Fields in the place line',
+            'setting.placeNameDebounceMs': 'Name request delay (ms)',
+            'setting.geocoderBackends': 'Backends, in order',
+            'setting.geocoderMinIntervalMs': 'Min interval between requests (ms)',
+            'setting.geocoderErrorThreshold': 'Errors before skipping a backend',
+            'setting.geocoderErrorResetMs': 'Retry a failing backend after (ms)',
+            'setting.geocoderEmail': 'Contact email (Nominatim)',
+            'setting.customGeocoderUrl': 'Custom backend URL template',
+            'setting.customGeocoderPaths': 'Custom backend JSON paths',
+            'setting.offlineGeocoderMode': 'Offline country/region lookup',
+            'setting.offlineCountriesUrl': 'Country boundaries URL',
+            'setting.offlineRegionsUrl': 'Region boundaries URL',
+            'setting.positionPollingFallback': 'Poll the iframe as a fallback',
+            'setting.positionPollIntervalMs': 'Polling interval (ms)',
+            'setting.statusTimeoutMs': 'Mark disconnected after (ms)',
+            'setting.roundJumpThresholdMeters': 'New round after a jump of (m)',
+            'setting.tileCacheEnabled': 'Cache map tiles for offline use',
+            'setting.tileCacheMaxMb': 'Tile cache size limit (MB)',
+            'setting.tileCacheMaxAgeDays': 'Refresh cached tiles after (days, 0 = never)',
+            'setting.tilePrefetchLevels': 'Zoom levels to prefetch around the marker',
+            'setting.leafletLocalUrl': 'Local Leaflet URL (folder with leaflet.js and leaflet.css)',
+            'setting.leafletLoadTimeoutMs': 'Load timeout per attempt (ms)',
+            'setting.leafletLoadRetries': 'Retries per source',
+            'setting.historyMaxRounds': 'Max recorded rounds',
+            'setting.distanceUnit': 'Distance unit',
+            'setting.mapOffsetPx': 'Minimap offset below button (px)',
+            'setting.snapToEdges': 'Snap to screen edges and corners',
+            'setting.snapDistancePx': 'Snap distance (px)',
+            'setting.theme': 'Theme (auto follows the site)',
+            'setting.customPrimaryColor': 'Custom theme: accent colour',
+            'setting.customBackgroundColor': 'Custom theme: background colour',
+            'setting.customTextColor': 'Custom theme: text colour',
+            'setting.customBorderColor': 'Custom theme: border colour',
+            'setting.markerColor': 'Marker colour (empty = theme accent)',
+            'setting.markerSize': 'Marker size (px)',
+            'setting.uiLanguage': 'Interface language',
+            'setting.placeNameLanguage': 'Place names in',
+            'setting.geocoderLanguage': 'Custom place name language (accept-language)'
+        },
+        de: {
+            'minimap.title': 'Minikarte',
+            'minimap.toggle': 'Minikarte ein-/ausblenden (Pfeiltasten verschieben sie)',
+            'minimap.titleBar': 'Titelleiste der Minikarte (Pfeiltasten verschieben die Karte)',
+            'minimap.resize': 'Größe der Minikarte ändern (Pfeiltasten)',
+            'button.coordinates': 'Koordinaten',
+            'button.measure': 'Entfernungen messen',
+            'button.history': 'Rundenverlauf',
+            'button.statistics': 'Statistik',
+            'button.export': 'Orte exportieren / importieren',
+            'button.settings': 'Einstellungen',
+            'button.popOut': 'In separatem Fenster öffnen',
+            'button.shortcuts': 'Tastenkürzel',
+            'button.placeDetails': 'Ortsdetails',
+            'button.close': 'Schließen',
+            'button.retry': 'Erneut versuchen',
+            'button.retryTitle': 'Kartenbibliothek erneut laden',
+            'panel.history': 'Rundenverlauf',
+            'panel.layers': 'Ebenen',
+            'panel.statistics': 'Statistik',
+            'panel.export': 'Export / Import',
+            'panel.settings': 'Einstellungen',
+            'panel.coordinates': 'Koordinaten',
+            'location.label': 'Ort: {name}',
+            'location.waiting': 'Ort: Warte...',
+            'location.unknown': 'Unbekannt',
+            'location.noDetails': 'Keine Details gefunden',
+            'location.lastKnown': '{name} (zuletzt bekannt)',
+            'location.serviceUnavailable': 'Ortsdienst nicht verfügbar',
+            'location.nameUnavailable': 'Ortsname nicht verfügbar',
+            'location.cacheStats': 'Namens-Cache: {hits} Treffer / {misses} Fehlschläge ({size} Einträge)',
+            'place.empty': 'Keine Ortsdetails verfügbar.',
+            'map.loading': 'Kartenbibliothek wird geladen...',
+            'map.failed': 'Kartenbibliothek konnte nicht geladen werden',
+            'status.label': 'Status: {status}',
+            'status.connected': 'Verbunden',
+            'status.disconnected': 'Warte auf Position',
+            'status.error': 'Fehler beim Ortsdienst',
+            'toast.popOutUnsupported': 'Separates Fenster wird von diesem Browser nicht unterstützt',
+            'toast.popOutBlocked': 'Das Fenster wurde vom Browser blockiert',
+            'toast.boundariesFailed': 'Ländergrenzen konnten nicht geladen werden',
+            'toast.clipboardFailed': 'Kein Zugriff auf die Zwischenablage',
+            'toast.copied': '{label}: {text}',
+            'clipboard.copied': 'Kopiert',
+            'clipboard.coordinatesCopied': 'Koordinaten kopiert',
+            'clipboard.formatCopied': '{format} kopiert',
+            'trail.travelled': 'Zurückgelegt: {distance}',
+            'trail.returnToStart': 'Zurück zum Start',
+            'measure.hint': 'Zum Messen auf die Karte klicken',
+            'measure.total': 'Gesamt: {distance}',
+            'measure.fromMarker': 'Vom Marker: {distance}, {bearing}° {direction}',
+            'measure.unit': 'Entfernungseinheit',
+            'measure.undo': 'Letzten Punkt entfernen',
+            'measure.clear': 'Leeren',
+            'measure.stop': 'Messen beenden',
+            'history.empty': 'Noch keine Runden aufgezeichnet.',
+            'history.currentSession': 'Aktuelle Sitzung',
+            'history.session': 'Sitzung vom {date}',
+            'history.replay': 'Diese Sitzung abspielen',
+            'history.round': 'Runde {number}: {place}',
+            'history.unknownPlace': 'Unbekannter Ort',
+            'history.moves': '{date} · {count} Schritte',
+            'replay.playPause': 'Abspielen / Pause',
+            'replay.speed': 'Wiedergabegeschwindigkeit',
+            'replay.stop': 'Wiedergabe beenden',
+            'popOut.title': 'OpenGuessr Minikarte',
+            'popOut.dock': 'Andocken',
+            'popOut.dockTitle': 'Minikarte wieder in die Spielseite andocken',
+            'layers.manage': 'Ebenen verwalten',
+            'layers.overlays': 'Überlagerungen (oben in der Liste wird zuoberst gezeichnet)',
+            'layers.opacity': 'Deckkraft',
+            'layers.moveUp': 'Nach oben',
+            'layers.moveDown': 'Nach unten',
+            'layers.custom': 'Eigene Quellen',
+            'layers.customSource': '{name} ({type}, {kind})',
+            'layers.kind.base': 'Grundkarte',
+            'layers.kind.overlay': 'Überlagerung',
+            'layers.remove': 'Quelle entfernen',
+            'layers.add': 'Quelle hinzufügen',
+            'layers.field.name': 'Name',
+            'layers.field.type': 'Typ',
+            'layers.field.kind': 'Verwenden als',
+            'layers.field.url': 'URL',
+            'layers.field.attribution': 'Quellenangabe',
+            'layers.field.maxZoom': 'Max. Zoomstufe',
+            'layers.field.subdomains': 'Subdomains',
+            'layers.field.wmsLayers': 'WMS-Ebenen',
+            'layers.placeholderName': 'Meine Ebene',
+            'layers.addButton': 'Hinzufügen',
+            'layers.error.name': 'Ein Name ist erforderlich',
+            'layers.error.kind': 'Die Art muss Grundkarte oder Überlagerung sein',
+            'layers.error.type': 'Der Typ muss XYZ oder WMS sein',
+            'layers.error.url': 'Die URL muss mit http:// oder https:// beginnen',
+            'layers.error.xyzUrl': 'Die XYZ-URL muss {z}, {x} und {y} enthalten',
+            'layers.error.wmsLayers': 'WMS-Quellen brauchen mindestens einen Ebenennamen',
+            'layers.error.maxZoom': 'Die max. Zoomstufe muss zwischen 1 und 24 liegen',
+            'tileCache.title': 'Kachel-Cache',
+            'tileCache.summary': '{tiles} Kacheln, {size} von {max} MB',
+            'tileCache.disabled': 'In den Einstellungen deaktiviert',
+            'tileCache.clearAll': 'Kachel-Cache leeren',
+            'tileCache.source': '{name}: {tiles} Kacheln, {size}',
+            'tileCache.clearSource': 'Zwischengespeicherte Kacheln dieser Quelle löschen',
+            'stats.sort': 'Sortieren',
+            'stats.from': 'Von',
+            'stats.to': 'Bis',
+            'stats.shade': 'Länder auf der Karte einfärben',
+            'stats.reset': 'Zurücksetzen',
+            'stats.resetConfirm': 'Gesamte Statistik zurücksetzen?',
+            'stats.empty': 'In diesem Zeitraum wurden keine Runden gezählt.',
+            'stats.summary': '{rounds} Runden in {countries} Ländern',
+            'stats.countries': 'Länder',
+            'stats.regions': 'Regionen',
+            'stats.country': 'Land',
+            'stats.region': 'Region',
+            'stats.rounds': 'Runden',
+            'export.title': 'Aufgezeichnete Runden exportieren',
+            'export.import': 'Als Überlagerung importieren',
+            'export.clear': 'Überlagerungen entfernen',
+            'export.imported': '{tracks} Track(s) mit {points} Punkt(en) aus {format} importiert.',
+            'export.importFailed': 'Import fehlgeschlagen: {error}',
+            'settings.save': 'Speichern',
+            'settings.reset': 'Standardwerte',
+            'settings.export': 'Exportieren',
+            'settings.import': 'Importieren',
+            'settings.saved': 'Einstellungen gespeichert.',
+            'settings.readError': 'Einstellungen konnten nicht gelesen werden: {error}',
+            'settings.tooNew': 'Einstellungsversion {version} ist neuer, als dieses Skript unterstützt',
+            'settings.error.number': '{label}: muss eine Zahl sein',
+            'settings.error.integer': '{label}: muss eine ganze Zahl sein',
+            'settings.error.range': '{label}: muss zwischen {min} und {max} liegen',
+            'settings.error.boolean': '{label}: muss wahr oder falsch sein',
+            'settings.error.enum': '{label}: muss einer der Werte {options} sein',
+            'settings.error.list': '{label}: erlaubte Werte sind {options}',
+            'settings.error.json': '{label}: ungültiges JSON',
+            'settings.error.object': '{label}: muss ein Objekt aus Texten sein',
+            'settings.error.text': '{label}: muss Text sein',
+            'settings.error.invalid': '{label}: ungültiger Wert',
+            'option.fallback': 'als Rückfall',
+            'option.primary': 'zuerst',
+            'option.off': 'aus',
+            'option.metric': 'metrisch',
+            'option.imperial': 'imperial',
+            'option.nautical': 'nautisch',
+            'option.auto': 'automatisch',
+            'option.light': 'hell',
+            'option.dark': 'dunkel',
+            'option.high-contrast': 'hoher Kontrast',
+            'option.custom': 'eigene',
+            'option.interface': 'Sprache der Oberfläche',
+            'option.native': 'Landessprache',
+            'option.en': 'English',
+            'option.de': 'Deutsch',
+            'option.fr': 'Français',
+            'option.es': 'Español',
+            'shortcuts.change': 'Ändern',
+            'shortcuts.pressKeys': 'Tasten drücken…',
+            'shortcuts.reset': 'Standardwerte',
+            'coordinates.goTo': 'Gehe zu',
+            'coordinates.placeholder': 'Beliebiges Format, z. B. 45.07, 7.68 oder 32T LQ 96630 91599',
+            'coordinates.go': 'Los',
+            'coordinates.unrecognised': 'Koordinaten nicht erkannt.',
+            'coordinates.waiting': 'Warte auf eine Position…',
+            'coordinates.copy': 'Zum Kopieren klicken',
+            'coordinates.unavailable': 'k. A.',
+            'coordinateFormat.decimal': 'Dezimal',
+            'coordinateFormat.dms': 'DMS',
+            'coordinateFormat.utm': 'UTM',
+            'coordinateFormat.mgrs': 'MGRS',
+            'coordinateFormat.olc': 'Plus Code',
+            'coordinateFormat.geohash': 'Geohash',
+            'layer.standard': 'Standard',
+            'layer.satellite': 'Satellit',
+            'layer.topographic': 'Topografisch',
+            'layer.labels': 'Beschriftungen',
+            'layer.borders': 'Grenzen & Orte',
+            'place.country': 'Land',
+            'place.countryCode': 'Ländercode',
+            'place.state': 'Bundesland / Region',
+            'place.county': 'Landkreis',
+            'place.municipality': 'Gemeinde',
+            'place.city': 'Stadt / Ort',
+            'place.road': 'Straße',
+            'place.postcode': 'Postleitzahl',
+            'shortcut.toggleMinimap': 'Minikarte ein-/ausblenden',
+            'shortcut.recenter': 'Auf Marker zentrieren',
+            'shortcut.cycleLayers': 'Nächste Grundkarte',
+            'shortcut.zoomIn': 'Hineinzoomen',
+            'shortcut.zoomOut': 'Herauszoomen',
+            'shortcut.copyCoordinates': 'Koordinaten kopieren',
+            'shortcut.returnToStart': 'Zurück zum Rundenstart',
+            'shortcut.openHistory': 'Rundenverlauf öffnen',
+            'shortcut.cheatSheet': 'Tastenkürzel anzeigen',
+            'settingGroup.Location names': 'Ortsnamen',
+            'settingGroup.Geocoding': 'Geokodierung',
+            'settingGroup.Offline lookup': 'Offline-Suche',
+            'settingGroup.Tracking': 'Verfolgung',
+            'settingGroup.History': 'Verlauf',
+            'settingGroup.Tile cache': 'Kachel-Cache',
+            'settingGroup.Map library': 'Kartenbibliothek',
+            'settingGroup.Layout': 'Anordnung',
+            'settingGroup.Appearance': 'Darstellung',
+            'settingGroup.Language': 'Sprache',
+            'setting.distanceThresholdMeters': 'Gespeicherten Namen wiederverwenden innerhalb von (m)',
+            'setting.locationCacheTtlHours': 'Lebensdauer gespeicherter Namen (Stunden)',
+            'setting.locationCacheMaxEntries': 'Max. gespeicherte Namen',
+            'setting.compactFields': 'Felder in der Ortszeile',
+            'setting.placeNameDebounceMs': 'Verzögerung der Namensabfrage (ms)',
+            'setting.geocoderBackends': 'Dienste, in Reihenfolge',
+            'setting.geocoderMinIntervalMs': 'Mindestabstand zwischen Anfragen (ms)',
+            'setting.geocoderErrorThreshold': 'Fehler, bevor ein Dienst übersprungen wird',
+            'setting.geocoderErrorResetMs': 'Fehlerhaften Dienst erneut versuchen nach (ms)',
+            'setting.geocoderEmail': 'Kontakt-E-Mail (Nominatim)',
+            'setting.customGeocoderUrl': 'URL-Vorlage des eigenen Dienstes',
+            'setting.customGeocoderPaths': 'JSON-Pfade des eigenen Dienstes',
+            'setting.offlineGeocoderMode': 'Offline-Suche nach Land/Region',
+            'setting.offlineCountriesUrl': 'URL der Ländergrenzen',
+            'setting.offlineRegionsUrl': 'URL der Regionsgrenzen',
+            'setting.positionPollingFallback': 'iframe ersatzweise regelmäßig abfragen',
+            'setting.positionPollIntervalMs': 'Abfrageintervall (ms)',
+            'setting.statusTimeoutMs': 'Als getrennt markieren nach (ms)',
+            'setting.roundJumpThresholdMeters': 'Neue Runde nach einem Sprung von (m)',
+            'setting.tileCacheEnabled': 'Kartenkacheln für die Offline-Nutzung speichern',
+            'setting.tileCacheMaxMb': 'Größenlimit des Kachel-Caches (MB)',
+            'setting.tileCacheMaxAgeDays': 'Gespeicherte Kacheln erneuern nach (Tage, 0 = nie)',
+            'setting.tilePrefetchLevels': 'Vorab zu ladende Zoomstufen um den Marker',
+            'setting.leafletLocalUrl': 'Lokale Leaflet-URL (Ordner mit leaflet.js und leaflet.css)',
+            'setting.leafletLoadTimeoutMs': 'Zeitlimit pro Ladeversuch (ms)',
+            'setting.leafletLoadRetries': 'Wiederholungen pro Quelle',
+            'setting.historyMaxRounds': 'Max. aufgezeichnete Runden',
+            'setting.distanceUnit': 'Entfernungseinheit',
+            'setting.mapOffsetPx': 'Abstand der Minikarte unter der Schaltfläche (px)',
+            'setting.snapToEdges': 'An Bildschirmrändern und -ecken einrasten',
+            'setting.snapDistancePx': 'Einrastabstand (px)',
+            'setting.theme': 'Design (automatisch folgt der Seite)',
+            'setting.customPrimaryColor': 'Eigenes Design: Akzentfarbe',
+            'setting.customBackgroundColor': 'Eigenes Design: Hintergrundfarbe',
+            'setting.customTextColor': 'Eigenes Design: Textfarbe',
+            'setting.customBorderColor': 'Eigenes Design: Rahmenfarbe',
+            'setting.markerColor': 'Markerfarbe (leer = Akzentfarbe des Designs)',
+            'setting.markerSize': 'Markergröße (px)',
+            'setting.uiLanguage': 'Sprache der Oberfläche',
+            'setting.placeNameLanguage': 'Ortsnamen in',
+            'setting.geocoderLanguage': 'Eigene Sprache für Ortsnamen (accept-language)'
+        },
+        fr: {
+            'minimap.title': 'Mini-carte',
+            'minimap.toggle': 'Afficher/masquer la mini-carte (les flèches la déplacent)',
+            'minimap.titleBar': 'Barre de titre de la mini-carte (les flèches déplacent la carte)',
+            'minimap.resize': 'Redimensionner la mini-carte (flèches)',
+            'button.coordinates': 'Coordonnées',
+            'button.measure': 'Mesurer des distances',
+            'button.history': 'Historique des manches',
+            'button.statistics': 'Statistiques',
+            'button.export': 'Exporter / importer des lieux',
+            'button.settings': 'Paramètres',
+            'button.popOut': 'Ouvrir dans une fenêtre séparée',
+            'button.shortcuts': 'Raccourcis clavier',
+            'button.placeDetails': 'Détails du lieu',
+            'button.close': 'Fermer',
+            'button.retry': 'Réessayer',
+            'button.retryTitle': 'Recharger la bibliothèque de cartes',
+            'panel.history': 'Historique des manches',
+            'panel.layers': 'Calques',
+            'panel.statistics': 'Statistiques',
+            'panel.export': 'Export / Import',
+            'panel.settings': 'Paramètres',
+            'panel.coordinates': 'Coordonnées',
+            'location.label': 'Lieu : {name}',
+            'location.waiting': 'Lieu : en attente...',
+            'location.unknown': 'Inconnu',
+            'location.noDetails': 'Aucun détail trouvé',
+            'location.lastKnown': '{name} (dernier connu)',
+            'location.serviceUnavailable': 'Service de localisation indisponible',
+            'location.nameUnavailable': 'Nom du lieu indisponible',
+            'location.cacheStats': 'Cache des noms : {hits} succès / {misses} échecs ({size} entrées)',
+            'place.empty': 'Aucun détail disponible pour ce lieu.',
+            'map.loading': 'Chargement de la bibliothèque de cartes...',
+            'map.failed': 'La bibliothèque de cartes n\'a pas pu être chargée',
+            'status.label': 'État : {status}',
+            'status.connected': 'Connecté',
+            'status.disconnected': 'En attente de position',
+            'status.error': 'Erreur du service de localisation',
+            'toast.popOutUnsupported': 'La fenêtre séparée n\'est pas prise en charge par ce navigateur',
+            'toast.popOutBlocked': 'La fenêtre a été bloquée par le navigateur',
+            'toast.boundariesFailed': 'Les frontières des pays n\'ont pas pu être chargées',
+            'toast.clipboardFailed': 'Impossible d\'accéder au presse-papiers',
+            'toast.copied': '{label} : {text}',
+            'clipboard.copied': 'Copié',
+            'clipboard.coordinatesCopied': 'Coordonnées copiées',
+            'clipboard.formatCopied': '{format} copié',
+            'trail.travelled': 'Parcouru : {distance}',
+            'trail.returnToStart': 'Revenir au départ',
+            'measure.hint': 'Cliquez sur la carte pour mesurer',
+            'measure.total': 'Total : {distance}',
+            'measure.fromMarker': 'Depuis le marqueur : {distance}, {bearing}° {direction}',
+            'measure.unit': 'Unité de distance',
+            'measure.undo': 'Annuler le dernier point',
+            'measure.clear': 'Effacer',
+            'measure.stop': 'Arrêter la mesure',
+            'history.empty': 'Aucune manche enregistrée pour l\'instant.',
+            'history.currentSession': 'Session en cours',
+            'history.session': 'Session du {date}',
+            'history.replay': 'Rejouer cette session',
+            'history.round': 'Manche {number} : {place}',
+            'history.unknownPlace': 'Lieu inconnu',
+            'history.moves': '{date} · {count} déplacements',
+            'replay.playPause': 'Lecture / pause',
+            'replay.speed': 'Vitesse de lecture',
+            'replay.stop': 'Arrêter la relecture',
+            'popOut.title': 'Mini-carte OpenGuessr',
+            'popOut.dock': 'Ancrer',
+            'popOut.dockTitle': 'Ramener la mini-carte dans la page du jeu',
+            'layers.manage': 'Gérer les calques',
+            'layers.overlays': 'Superpositions (le haut de la liste est dessiné au-dessus)',
+            'layers.opacity': 'Opacité',
+            'layers.moveUp': 'Monter',
+            'layers.moveDown': 'Descendre',
+            'layers.custom': 'Sources personnalisées',
+            'layers.customSource': '{name} ({type}, {kind})',
+            'layers.kind.base': 'Fond de carte',
+            'layers.kind.overlay': 'Superposition',
+            'layers.remove': 'Supprimer la source',
+            'layers.add': 'Ajouter une source',
+            'layers.field.name': 'Nom',
+            'layers.field.type': 'Type',
+            'layers.field.kind': 'Utiliser comme',
+            'layers.field.url': 'URL',
+            'layers.field.attribution': 'Attribution',
+            'layers.field.maxZoom': 'Zoom max.',
+            'layers.field.subdomains': 'Sous-domaines',
+            'layers.field.wmsLayers': 'Calques WMS',
+            'layers.placeholderName': 'Mon calque',
+            'layers.addButton': 'Ajouter',
+            'layers.error.name': 'Le nom est obligatoire',
+            'layers.error.kind': 'Le genre doit être fond de carte ou superposition',
+            'layers.error.type': 'Le type doit être XYZ ou WMS',
+            'layers.error.url': 'L\'URL doit commencer par http:// ou https://',
+            'layers.error.xyzUrl': 'L\'URL XYZ doit contenir {z}, {x} et {y}',
+            'layers.error.wmsLayers': 'Les sources WMS ont besoin d\'au moins un nom de calque',
+            'layers.error.maxZoom': 'Le zoom max. doit être compris entre 1 et 24',
+            'tileCache.title': 'Cache des tuiles',
+            'tileCache.summary': '{tiles} tuiles, {size} sur {max} Mo',
+            'tileCache.disabled': 'Désactivé dans les paramètres',
+            'tileCache.clearAll': 'Vider le cache des tuiles',
+            'tileCache.source': '{name} : {tiles} tuiles, {size}',
+            'tileCache.clearSource': 'Supprimer les tuiles en cache de cette source',
+            'stats.sort': 'Trier',
+            'stats.from': 'Du',
+            'stats.to': 'Au',
+            'stats.shade': 'Colorer les pays sur la carte',
+            'stats.reset': 'Réinitialiser',
+            'stats.resetConfirm': 'Réinitialiser toutes les statistiques ?',
+            'stats.empty': 'Aucune manche comptée sur cette période.',
+            'stats.summary': '{rounds} manches dans {countries} pays',
+            'stats.countries': 'Pays',
+            'stats.regions': 'Régions',
+            'stats.country': 'Pays',
+            'stats.region': 'Région',
+            'stats.rounds': 'Manches',
+            'export.title': 'Exporter les manches enregistrées',
+            'export.import': 'Importer en superposition',
+            'export.clear': 'Effacer les superpositions',
+            'export.imported': '{tracks} trace(s) et {points} point(s) importés depuis {format}.',
+            'export.importFailed': 'Échec de l\'import : {error}',
+            'settings.save': 'Enregistrer',
+            'settings.reset': 'Valeurs par défaut',
+            'settings.export': 'Exporter',
+            'settings.import': 'Importer',
+            'settings.saved': 'Paramètres enregistrés.',
+            'settings.readError': 'Impossible de lire les paramètres : {error}',
+            'settings.tooNew': 'La version {version} des paramètres est plus récente que ce script',
+            'settings.error.number': '{label} : doit être un nombre',
+            'settings.error.integer': '{label} : doit être un nombre entier',
+            'settings.error.range': '{label} : doit être compris entre {min} et {max}',
+            'settings.error.boolean': '{label} : doit être vrai ou faux',
+            'settings.error.enum': '{label} : doit être l\'une des valeurs {options}',
+            'settings.error.list': '{label} : valeurs autorisées : {options}',
+            'settings.error.json': '{label} : JSON invalide',
+            'settings.error.object': '{label} : doit être un objet de textes',
+            'settings.error.text': '{label} : doit être du texte',
+            'settings.error.invalid': '{label} : valeur invalide',
+            'option.fallback': 'en secours',
+            'option.primary': 'en premier',
+            'option.off': 'désactivé',
+            'option.metric': 'métrique',
+            'option.imperial': 'impérial',
+            'option.nautical': 'nautique',
+            'option.auto': 'automatique',
+            'option.light': 'clair',
+            'option.dark': 'sombre',
+            'option.high-contrast': 'contraste élevé',
+            'option.custom': 'personnalisé',
+            'option.interface': 'langue de l\'interface',
+            'option.native': 'langue locale',
+            'option.en': 'English',
+            'option.de': 'Deutsch',
+            'option.fr': 'Français',
+            'option.es': 'Español',
+            'shortcuts.change': 'Modifier',
+            'shortcuts.pressKeys': 'Appuyez sur les touches…',
+            'shortcuts.reset': 'Valeurs par défaut',
+            'coordinates.goTo': 'Aller à',
+            'coordinates.placeholder': 'Tout format, p. ex. 45.07, 7.68 ou 32T LQ 96630 91599',
+            'coordinates.go': 'Aller',
+            'coordinates.unrecognised': 'Coordonnées non reconnues.',
+            'coordinates.waiting': 'En attente d\'une position…',
+            'coordinates.copy': 'Cliquer pour copier',
+            'coordinates.unavailable': 'n/d',
+            'coordinateFormat.decimal': 'Décimal',
+            'coordinateFormat.dms': 'DMS',
+            'coordinateFormat.utm': 'UTM',
+            'coordinateFormat.mgrs': 'MGRS',
+            'coordinateFormat.olc': 'Plus Code',
+            'coordinateFormat.geohash': 'Geohash',
+            'layer.standard': 'Standard',
+            'layer.satellite': 'Satellite',
+            'layer.topographic': 'Topographique',
+            'layer.labels': 'Libellés',
+            'layer.borders': 'Frontières et lieux',
+            'place.country': 'Pays',
+            'place.countryCode': 'Code pays',
+            'place.state': 'État / région',
+            'place.county': 'Comté / département',
+            'place.municipality': 'Municipalité',
+            'place.city': 'Ville / village',
+            'place.road': 'Rue',
+            'place.postcode': 'Code postal',
+            'shortcut.toggleMinimap': 'Afficher/masquer la mini-carte',
+            'shortcut.recenter': 'Recentrer sur le marqueur',
+            'shortcut.cycleLayers': 'Fond de carte suivant',
+            'shortcut.zoomIn': 'Zoom avant',
+            'shortcut.zoomOut': 'Zoom arrière',
+            'shortcut.copyCoordinates': 'Copier les coordonnées',
+            'shortcut.returnToStart': 'Revenir au départ de la manche',
+            'shortcut.openHistory': 'Ouvrir l\'historique des manches',
+            'shortcut.cheatSheet': 'Afficher les raccourcis',
+            'settingGroup.Location names': 'Noms de lieux',
+            'settingGroup.Geocoding': 'Géocodage',
+            'settingGroup.Offline lookup': 'Recherche hors ligne',
+            'settingGroup.Tracking': 'Suivi',
+            'settingGroup.History': 'Historique',
+            'settingGroup.Tile cache': 'Cache des tuiles',
+            'settingGroup.Map library': 'Bibliothèque de cartes',
+            'settingGroup.Layout': 'Disposition',
+            'settingGroup.Appearance': 'Apparence',
+            'settingGroup.Language': 'Langue',
+            'setting.distanceThresholdMeters': 'Réutiliser un nom en cache dans un rayon de (m)',
+            'setting.locationCacheTtlHours': 'Durée de vie des noms en cache (heures)',
+            'setting.locationCacheMaxEntries': 'Nombre max. de noms en cache',
+            'setting.compactFields': 'Champs de la ligne du lieu',
+            'setting.placeNameDebounceMs': 'Délai avant la requête du nom (ms)',
+            'setting.geocoderBackends': 'Services, dans l\'ordre',
+            'setting.geocoderMinIntervalMs': 'Intervalle min. entre les requêtes (ms)',
+            'setting.geocoderErrorThreshold': 'Erreurs avant d\'ignorer un service',
+            'setting.geocoderErrorResetMs': 'Réessayer un service en échec après (ms)',
+            'setting.geocoderEmail': 'E-mail de contact (Nominatim)',
+            'setting.customGeocoderUrl': 'Modèle d\'URL du service personnalisé',
+            'setting.customGeocoderPaths': 'Chemins JSON du service personnalisé',
+            'setting.offlineGeocoderMode': 'Recherche pays/région hors ligne',
+            'setting.offlineCountriesUrl': 'URL des frontières des pays',
+            'setting.offlineRegionsUrl': 'URL des frontières des régions',
+            'setting.positionPollingFallback': 'Interroger l\'iframe en secours',
+            'setting.positionPollIntervalMs': 'Intervalle d\'interrogation (ms)',
+            'setting.statusTimeoutMs': 'Marquer comme déconnecté après (ms)',
+            'setting.roundJumpThresholdMeters': 'Nouvelle manche après un saut de (m)',
+            'setting.tileCacheEnabled': 'Mettre en cache les tuiles pour un usage hors ligne',
+            'setting.tileCacheMaxMb': 'Taille max. du cache des tuiles (Mo)',
+            'setting.tileCacheMaxAgeDays': 'Renouveler les tuiles en cache après (jours, 0 = jamais)',
+            'setting.tilePrefetchLevels': 'Niveaux de zoom préchargés autour du marqueur',
+            'setting.leafletLocalUrl': 'URL locale de Leaflet (dossier avec leaflet.js et leaflet.css)',
+            'setting.leafletLoadTimeoutMs': 'Délai par tentative de chargement (ms)',
+            'setting.leafletLoadRetries': 'Nouvelles tentatives par source',
+            'setting.historyMaxRounds': 'Nombre max. de manches enregistrées',
+            'setting.distanceUnit': 'Unité de distance',
+            'setting.mapOffsetPx': 'Décalage de la mini-carte sous le bouton (px)',
+            'setting.snapToEdges': 'Aimanter aux bords et coins de l\'écran',
+            'setting.snapDistancePx': 'Distance d\'aimantation (px)',
+            'setting.theme': 'Thème (automatique suit le site)',
+            'setting.customPrimaryColor': 'Thème personnalisé : couleur d\'accent',
+            'setting.customBackgroundColor': 'Thème personnalisé : couleur de fond',
+            'setting.customTextColor': 'Thème personnalisé : couleur du texte',
+            'setting.customBorderColor': 'Thème personnalisé : couleur des bordures',
+            'setting.markerColor': 'Couleur du marqueur (vide = accent du thème)',
+            'setting.markerSize': 'Taille du marqueur (px)',
+            'setting.uiLanguage': 'Langue de l\'interface',
+            'setting.placeNameLanguage': 'Noms de lieux en',
+            'setting.geocoderLanguage': 'Langue personnalisée des noms de lieux (accept-language)'
+        },
+        es: {
+            'minimap.title': 'Minimapa',
+            'minimap.toggle': 'Mostrar/ocultar el minimapa (las flechas lo mueven)',
+            'minimap.titleBar': 'Barra de título del minimapa (las flechas mueven el mapa)',
+            'minimap.resize': 'Cambiar el tamaño del minimapa (flechas)',
+            'button.coordinates': 'Coordenadas',
+            'button.measure': 'Medir distancias',
+            'button.history': 'Historial de rondas',
+            'button.statistics': 'Estadísticas',
+            'button.export': 'Exportar / importar lugares',
+            'button.settings': 'Ajustes',
+            'button.popOut': 'Abrir en una ventana aparte',
+            'button.shortcuts': 'Atajos de teclado',
+            'button.placeDetails': 'Detalles del lugar',
+            'button.close': 'Cerrar',
+            'button.retry': 'Reintentar',
+            'button.retryTitle': 'Volver a cargar la biblioteca de mapas',
+            'panel.history': 'Historial de rondas',
+            'panel.layers': 'Capas',
+            'panel.statistics': 'Estadísticas',
+            'panel.export': 'Exportar / Importar',
+            'panel.settings': 'Ajustes',
+            'panel.coordinates': 'Coordenadas',
+            'location.label': 'Lugar: {name}',
+            'location.waiting': 'Lugar: esperando...',
+            'location.unknown': 'Desconocido',
+            'location.noDetails': 'No se encontraron detalles',
+            'location.lastKnown': '{name} (último conocido)',
+            'location.serviceUnavailable': 'Servicio de localización no disponible',
+            'location.nameUnavailable': 'Nombre del lugar no disponible',
+            'location.cacheStats': 'Caché de nombres: {hits} aciertos / {misses} fallos ({size} entradas)',
+            'place.empty': 'No hay detalles disponibles de este lugar.',
+            'map.loading': 'Cargando la biblioteca de mapas...',
+            'map.failed': 'No se pudo cargar la biblioteca de mapas',
+            'status.label': 'Estado: {status}',
+            'status.connected': 'Conectado',
+            'status.disconnected': 'Esperando posición',
+            'status.error': 'Error del servicio de localización',
+            'toast.popOutUnsupported': 'Este navegador no admite ventanas aparte',
+            'toast.popOutBlocked': 'El navegador bloqueó la ventana',
+            'toast.boundariesFailed': 'No se pudieron cargar las fronteras de los países',
+            'toast.clipboardFailed': 'No se pudo acceder al portapapeles',
+            'toast.copied': '{label}: {text}',
+            'clipboard.copied': 'Copiado',
+            'clipboard.coordinatesCopied': 'Coordenadas copiadas',
+            'clipboard.formatCopied': '{format} copiado',
+            'trail.travelled': 'Recorrido: {distance}',
+            'trail.returnToStart': 'Volver al inicio',
+            'measure.hint': 'Haz clic en el mapa para medir',
+            'measure.total': 'Total: {distance}',
+            'measure.fromMarker': 'Desde el marcador: {distance}, {bearing}° {direction}',
+            'measure.unit': 'Unidad de distancia',
+            'measure.undo': 'Deshacer el último punto',
+            'measure.clear': 'Borrar',
+            'measure.stop': 'Dejar de medir',
+            'history.empty': 'Todavía no hay rondas grabadas.',
+            'history.currentSession': 'Sesión actual',
+            'history.session': 'Sesión del {date}',
+            'history.replay': 'Reproducir esta sesión',
+            'history.round': 'Ronda {number}: {place}',
+            'history.unknownPlace': 'Lugar desconocido',
+            'history.moves': '{date} · {count} movimientos',
+            'replay.playPause': 'Reproducir / pausa',
+            'replay.speed': 'Velocidad de reproducción',
+            'replay.stop': 'Detener la reproducción',
+            'popOut.title': 'Minimapa de OpenGuessr',
+            'popOut.dock': 'Acoplar',
+            'popOut.dockTitle': 'Devolver el minimapa a la página del juego',
+            'layers.manage': 'Gestionar capas',
+            'layers.overlays': 'Superposiciones (lo primero de la lista se dibuja encima)',
+            'layers.opacity': 'Opacidad',
+            'layers.moveUp': 'Subir',
+            'layers.moveDown': 'Bajar',
+            'layers.custom': 'Fuentes propias',
+            'layers.customSource': '{name} ({type}, {kind})',
+            'layers.kind.base': 'Mapa base',
+            'layers.kind.overlay': 'Superposición',
+            'layers.remove': 'Quitar fuente',
+            'layers.add': 'Añadir fuente',
+            'layers.field.name': 'Nombre',
+            'layers.field.type': 'Tipo',
+            'layers.field.kind': 'Usar como',
+            'layers.field.url': 'URL',
+            'layers.field.attribution': 'Atribución',
+            'layers.field.maxZoom': 'Zoom máx.',
+            'layers.field.subdomains': 'Subdominios',
+            'layers.field.wmsLayers': 'Capas WMS',
+            'layers.placeholderName': 'Mi capa',
+            'layers.addButton': 'Añadir',
+            'layers.error.name': 'El nombre es obligatorio',
+            'layers.error.kind': 'El uso debe ser mapa base o superposición',
+            'layers.error.type': 'El tipo debe ser XYZ o WMS',
+            'layers.error.url': 'La URL debe empezar por http:// o https://',
+            'layers.error.xyzUrl': 'La URL XYZ debe contener {z}, {x} y {y}',
+            'layers.error.wmsLayers': 'Las fuentes WMS necesitan al menos un nombre de capa',
+            'layers.error.maxZoom': 'El zoom máx. debe estar entre 1 y 24',
+            'tileCache.title': 'Caché de teselas',
+            'tileCache.summary': '{tiles} teselas, {size} de {max} MB',
+            'tileCache.disabled': 'Desactivada en los ajustes',
+            'tileCache.clearAll': 'Vaciar la caché de teselas',
+            'tileCache.source': '{name}: {tiles} teselas, {size}',
+            'tileCache.clearSource': 'Borrar las teselas guardadas de esta fuente',
+            'stats.sort': 'Ordenar',
+            'stats.from': 'Desde',
+            'stats.to': 'Hasta',
+            'stats.shade': 'Colorear los países en el mapa',
+            'stats.reset': 'Restablecer',
+            'stats.resetConfirm': '¿Restablecer todas las estadísticas?',
+            'stats.empty': 'No se contaron rondas en este periodo.',
+            'stats.summary': '{rounds} rondas en {countries} países',
+            'stats.countries': 'Países',
+            'stats.regions': 'Regiones',
+            'stats.country': 'País',
+            'stats.region': 'Región',
+            'stats.rounds': 'Rondas',
+            'export.title': 'Exportar rondas grabadas',
+            'export.import': 'Importar como superposición',
+            'export.clear': 'Quitar superposiciones',
+            'export.imported': 'Importados {tracks} recorrido(s) y {points} punto(s) desde {format}.',
+            'export.importFailed': 'Error al importar: {error}',
+            'settings.save': 'Guardar',
+            'settings.reset': 'Valores predeterminados',
+            'settings.export': 'Exportar',
+            'settings.import': 'Importar',
+            'settings.saved': 'Ajustes guardados.',
+            'settings.readError': 'No se pudieron leer los ajustes: {error}',
+            'settings.tooNew': 'La versión {version} de los ajustes es más reciente de lo que admite este script',
+            'settings.error.number': '{label}: debe ser un número',
+            'settings.error.integer': '{label}: debe ser un número entero',
+            'settings.error.range': '{label}: debe estar entre {min} y {max}',
+            'settings.error.boolean': '{label}: debe ser verdadero o falso',
+            'settings.error.enum': '{label}: debe ser uno de {options}',
+            'settings.error.list': '{label}: los valores permitidos son {options}',
+            'settings.error.json': '{label}: JSON no válido',
+            'settings.error.object': '{label}: debe ser un objeto de textos',
+            'settings.error.text': '{label}: debe ser texto',
+            'settings.error.invalid': '{label}: valor no válido',
+            'option.fallback': 'de respaldo',
+            'option.primary': 'primero',
+            'option.off': 'desactivado',
+            'option.metric': 'métrico',
+            'option.imperial': 'imperial',
+            'option.nautical': 'náutico',
+            'option.auto': 'automático',
+            'option.light': 'claro',
+            'option.dark': 'oscuro',
+            'option.high-contrast': 'alto contraste',
+            'option.custom': 'personalizado',
+            'option.interface': 'idioma de la interfaz',
+            'option.native': 'idioma local',
+            'option.en': 'English',
+            'option.de': 'Deutsch',
+            'option.fr': 'Français',
+            'option.es': 'Español',
+            'shortcuts.change': 'Cambiar',
+            'shortcuts.pressKeys': 'Pulsa las teclas…',
+            'shortcuts.reset': 'Valores predeterminados',
+            'coordinates.goTo': 'Ir a',
+            'coordinates.placeholder': 'Cualquier formato, p. ej. 45.07, 7.68 o 32T LQ 96630 91599',
+            'coordinates.go': 'Ir',
+            'coordinates.unrecognised': 'Coordenadas no reconocidas.',
+            'coordinates.waiting': 'Esperando una posición…',
+            'coordinates.copy': 'Haz clic para copiar',
+            'coordinates.unavailable': 'n/d',
+            'coordinateFormat.decimal': 'Decimal',
+            'coordinateFormat.dms': 'DMS',
+            'coordinateFormat.utm': 'UTM',
+            'coordinateFormat.mgrs': 'MGRS',
+            'coordinateFormat.olc': 'Plus Code',
+            'coordinateFormat.geohash': 'Geohash',
+            'layer.standard': 'Estándar',
+            'layer.satellite': 'Satélite',
+            'layer.topographic': 'Topográfico',
+            'layer.labels': 'Etiquetas',
+            'layer.borders': 'Fronteras y lugares',
+            'place.country': 'País',
+            'place.countryCode': 'Código de país',
+            'place.state': 'Estado / región',
+            'place.county': 'Condado / provincia',
+            'place.municipality': 'Municipio',
+            'place.city': 'Ciudad / pueblo',
+            'place.road': 'Calle',
+            'place.postcode': 'Código postal',
+            'shortcut.toggleMinimap': 'Mostrar/ocultar el minimapa',
+            'shortcut.recenter': 'Centrar en el marcador',
+            'shortcut.cycleLayers': 'Siguiente mapa base',
+            'shortcut.zoomIn': 'Acercar',
+            'shortcut.zoomOut': 'Alejar',
+            'shortcut.copyCoordinates': 'Copiar coordenadas',
+            'shortcut.returnToStart': 'Volver al inicio de la ronda',
+            'shortcut.openHistory': 'Abrir el historial de rondas',
+            'shortcut.cheatSheet': 'Mostrar atajos',
+            'settingGroup.Location names': 'Nombres de lugares',
+            'settingGroup.Geocoding': 'Geocodificación',
+            'settingGroup.Offline lookup': 'Búsqueda sin conexión',
+            'settingGroup.Tracking': 'Seguimiento',
+            'settingGroup.History': 'Historial',
+            'settingGroup.Tile cache': 'Caché de teselas',
+            'settingGroup.Map library': 'Biblioteca de mapas',
+            'settingGroup.Layout': 'Disposición',
+            'settingGroup.Appearance': 'Apariencia',
+            'settingGroup.Language': 'Idioma',
+            'setting.distanceThresholdMeters': 'Reutilizar un nombre guardado a menos de (m)',
+            'setting.locationCacheTtlHours': 'Vigencia de los nombres guardados (horas)',
+            'setting.locationCacheMaxEntries': 'Máx. de nombres guardados',
+            'setting.compactFields': 'Campos de la línea del lugar',
+            'setting.placeNameDebounceMs': 'Retardo de la consulta del nombre (ms)',
+            'setting.geocoderBackends': 'Servicios, por orden',
+            'setting.geocoderMinIntervalMs': 'Intervalo mín. entre consultas (ms)',
+            'setting.geocoderErrorThreshold': 'Errores antes de saltar un servicio',
+            'setting.geocoderErrorResetMs': 'Reintentar un servicio con fallos tras (ms)',
+            'setting.geocoderEmail': 'Correo de contacto (Nominatim)',
+            'setting.customGeocoderUrl': 'Plantilla de URL del servicio propio',
+            'setting.customGeocoderPaths': 'Rutas JSON del servicio propio',
+            'setting.offlineGeocoderMode': 'Búsqueda de país/región sin conexión',
+            'setting.offlineCountriesUrl': 'URL de las fronteras de países',
+            'setting.offlineRegionsUrl': 'URL de las fronteras de regiones',
+            'setting.positionPollingFallback': 'Consultar el iframe como respaldo',
+            'setting.positionPollIntervalMs': 'Intervalo de consulta (ms)',
+            'setting.statusTimeoutMs': 'Marcar como desconectado tras (ms)',
+            'setting.roundJumpThresholdMeters': 'Nueva ronda tras un salto de (m)',
+            'setting.tileCacheEnabled': 'Guardar teselas para usarlas sin conexión',
+            'setting.tileCacheMaxMb': 'Límite de tamaño de la caché de teselas (MB)',
+            'setting.tileCacheMaxAgeDays': 'Renovar las teselas guardadas tras (días, 0 = nunca)',
+            'setting.tilePrefetchLevels': 'Niveles de zoom a precargar alrededor del marcador',
+            'setting.leafletLocalUrl': 'URL local de Leaflet (carpeta con leaflet.js y leaflet.css)',
+            'setting.leafletLoadTimeoutMs': 'Tiempo límite por intento de carga (ms)',
+            'setting.leafletLoadRetries': 'Reintentos por fuente',
+            'setting.historyMaxRounds': 'Máx. de rondas grabadas',
+            'setting.distanceUnit': 'Unidad de distancia',
+            'setting.mapOffsetPx': 'Separación del minimapa bajo el botón (px)',
+            'setting.snapToEdges': 'Ajustar a los bordes y esquinas de la pantalla',
+            'setting.snapDistancePx': 'Distancia de ajuste (px)',
+            'setting.theme': 'Tema (automático sigue al sitio)',
+            'setting.customPrimaryColor': 'Tema propio: color de acento',
+            'setting.customBackgroundColor': 'Tema propio: color de fondo',
+            'setting.customTextColor': 'Tema propio: color del texto',
+            'setting.customBorderColor': 'Tema propio: color de los bordes',
+            'setting.markerColor': 'Color del marcador (vacío = acento del tema)',
+            'setting.markerSize': 'Tamaño del marcador (px)',
+            'setting.uiLanguage': 'Idioma de la interfaz',
+            'setting.placeNameLanguage': 'Nombres de lugares en',
+            'setting.geocoderLanguage': 'Idioma propio de los nombres de lugares (accept-language)'
+        }
+    };
+
+    // Resolves the interface language and translates messages.
+    // Elements built with localize() remember their message keys in data-i18n attributes,
+    // so refresh() can retranslate them in place when the language setting changes.
+    const I18n = (function() {
+        // First browser language that has a catalogue, matched on the primary subtag
+        function _detect() {
+            const preferred = (navigator.languages && navigator.languages.length) ? navigator.languages : [navigator.language || 'en'];
+            for (const tag of preferred) {
+                const base = String(tag).toLowerCase().split('-')[0];
+                if (I18N_MESSAGES[base]) return base;
+            }
+            return 'en';
+        }
+
+        // Returns the active interface language; English while the settings are still loading
+        function getLocale() {
+            if (!config.uiLanguage) return 'en';
+            return config.uiLanguage === 'auto' ? _detect() : config.uiLanguage;
+        }
+
+        function _fill(message, params) {
+            return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+        }
+
+        // Returns the message for key in the active language with {placeholders} filled in
+        function t(key, params = {}) {
+            const catalogue = I18N_MESSAGES[getLocale()] || I18N_MESSAGES.en;
+            const message = key in catalogue ? catalogue[key] : (key in I18N_MESSAGES.en ? I18N_MESSAGES.en[key] : key);
+            return _fill(message, params);
+        }
+
+        // Returns the accept-language value for place names; '' asks for the local (native) names
+        function getPlaceNameLanguage() {
+            if (config.placeNameLanguage === 'native') return '';
+            if (config.placeNameLanguage === 'custom') return config.geocoderLanguage;
+            return getLocale();
+        }
+
+        function _apply(element) {
+            if (element.dataset.i18n) element.textContent = t(element.dataset.i18n);
+            if (element.dataset.i18nTitle) element.title = t(element.dataset.i18nTitle);
+            if (element.dataset.i18nLabel) element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+            if (element.dataset.i18nPlaceholder) element.placeholder = t(element.dataset.i18nPlaceholder);
+        }
+
+        // Translates an element now and on later refreshes: keys for { text, title, label, placeholder }
+        function localize(element, keys) {
+            if (keys.text) element.dataset.i18n = keys.text;
+            if (keys.title) element.dataset.i18nTitle = keys.title;
+            if (keys.label) element.dataset.i18nLabel = keys.label;
+            if (keys.placeholder) element.dataset.i18nPlaceholder = keys.placeholder;
+            _apply(element);
+            return element;
+        }
+
+        // Retranslates every localized element of the helper
+        function refresh() {
+            document.querySelectorAll('[data-i18n], [data-i18n-title], [data-i18n-label], [data-i18n-placeholder]').forEach(_apply);
+        }
+
+        return {
+            t,
+            getLocale,
+            getPlaceNameLanguage,
+            localize,
+            refresh,
+            getAvailableLocales: function() { return Object.keys(I18N_MESSAGES); }
+        };
+    })();
+    const t = I18n.t;
+
+    // Returns the label of a settings schema field in the interface language
+    function settingLabel(field) {
+        return t(`setting.${field.key}`);
+    }
+
+    // Returns the display name of a layer source; custom sources keep the user's name
+    function sourceName(source) {
+        return source.builtIn ? t(`layer.${source.id}`) : source.name;
+    }
+
+    // Returns the label of a coordinate format in the interface language
+    function coordinateFormatLabel(format) {
+        return t(`coordinateFormat.${format.id}`);
+    }
+
+    const Settings = (function() {
+        const changeListeners = [];
+
+        function _defaults() {
+            const values = {};
+            SETTINGS_SCHEMA.forEach(field => {
+                values[field.key] = JSON.parse(JSON.stringify(field.default));
+            });
+            return values;
+        }
+
+        // Checks and normalises a single value; returns { value } or { error }
+        function _validateField(field, raw) {
+            const label = settingLabel(field);
+            switch (field.type) {
+                case 'number': {
+                    const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+                    if (typeof value !== 'number' || isNaN(value)) return { error: t('settings.error.number', { label }) };
+                    if (field.integer && !Number.isInteger(value)) return { error: t('settings.error.integer', { label }) };
+                    if (value < field.min || value > field.max) return { error: t('settings.error.range', { label, min: field.min, max: field.max }) };
+                    return { value };
+                }
+                case 'boolean':
+                    if (typeof raw !== 'boolean') return { error: t('settings.error.boolean', { label }) };
+                    return { value: raw };
+                case 'enum':
+                    if (!field.options.includes(raw)) return { error: t('settings.error.enum', { label, options: field.options.join(', ') }) };
+                    return { value: raw };
+                case 'list': {
+                    const value = typeof raw === 'string' ? raw.split(',').map(v => v.trim()).filter(Boolean) : raw;
+                    if (!Array.isArray(value) || value.some(v => !field.options.includes(v))) {
+                        return { error: t('settings.error.list', { label, options: field.options.join(', ') }) };
+                    }
+                    return { value: Array.from(new Set(value)) };
+                }
+                case 'json': {
+                    let value = raw;
+                    if (typeof raw === 'string') {
+                        try { value = JSON.parse(raw); } catch (e) { return { error: t('settings.error.json', { label }) }; }
+                    }
+                    if (!value || typeof value !== 'object' || Array.isArray(value) || Object.values(value).some(v => typeof v !== 'string')) {
+                        return { error: t('settings.error.object', { label }) };
+                    }
+                    return { value };
+                }
+                default: {
+                    const value = typeof raw === 'string' ? raw.trim() : raw;
+                    if (typeof value !== 'string') return { error: t('settings.error.text', { label }) };
+                    if (field.pattern && !field.pattern.test(value)) return { error: t('settings.error.invalid', { label }) };
+                    return { value };
+                }
+            }
+        }
+
+        // Validates a partial set of values; unknown keys are ignored
+        function validate(values) {
+            const valid = {};
+            const errors = [];
+            SETTINGS_SCHEMA.forEach(field => {
+                if (!(field.key in values)) return;
+                const result = _validateField(field, values[field.key]);
+                if (result.error) errors.push(result.error);
+                else valid[field.key] = result.value;
+            });
+            return { values: valid, errors };
+        }
+
+        // Brings stored or imported data up to SETTINGS_VERSION
+        function _migrate(data) {
+            let current = data && typeof data.version === 'number' ? data : SETTINGS_MIGRATIONS[0](data || {});
+            if (current.version > SETTINGS_VERSION) throw new Error(t('settings.tooNew', { version: current.version }));
+            while (current.version < SETTINGS_VERSION) {
+                current = SETTINGS_MIGRATIONS[current.version](current);
+            }
+            return current.values || {};
+        }
+
+        function _save() {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, values: config }));
+        }
+
+        function _notify(changed) {
+            changeListeners.forEach(cb => {
+                try { cb(changed); } catch (e) { console.error('Error in settings listener:', e); }
+            });
+        }
+
+        // Applies a partial set of values; returns the list of validation errors
+        // Nothing is applied if any value is invalid
+        function set(values) {
+            const result = validate(values);
+            if (result.errors.length) return result.errors;
+            const changed = Object.keys(result.values).filter(key => JSON.stringify(config[key]) !== JSON.stringify(result.values[key]));
+            Object.assign(config, result.values);
+            _save();
+            if (changed.length) _notify(changed);
+            return [];
+        }
+
+        function reset() {
+            localStorage.removeItem(SETTINGS_STORAGE_KEY);
+            const defaults = _defaults();
+            const changed = Object.keys(defaults).filter(key => JSON.stringify(config[key]) !== JSON.stringify(defaults[key]));
+            Object.assign(config, defaults);
+            if (changed.length) _notify(changed);
+        }
+
+        // Serialises the current configuration for sharing
+        function exportJson() {
+            return JSON.stringify({ app: 'OpenGuessr-Helper', version: SETTINGS_VERSION, values: config }, null, 2);
+        }
+
+        // Loads a configuration exported by exportJson(); returns the list of errors
+        function importJson(text) {
+            let values;
+            try {
+                values = _migrate(JSON.parse(text));
+            } catch (e) {
+                return [t('settings.readError', { error: e.message })];
+            }
+            return set(values);
+        }
+
+        // Loads stored values on startup, keeping defaults for anything invalid
+        function _load() {
+            Object.assign(config, _defaults());
+            try {
+                const stored = localStorage.getItem(SETTINGS_STORAGE_KEY);
+                if (!stored) return;
+                const result = validate(_migrate(JSON.parse(stored)));
+                result.errors.forEach(error => console.warn('OpenGuessr Helper: Ignoring stored setting -', error));
+                Object.assign(config, result.values);
+            } catch (e) {
+                console.error('Error loading settings from localStorage:', e);
+            }
+        }
+
+        _load();
+
+        return {
+            set,
+            reset,
+            validate,
+            exportJson,
+            importJson,
+            getSchema: function() { return SETTINGS_SCHEMA; },
+            getDefaults: _defaults,
+            onChange: function(cb) { changeListeners.push(cb); }
+        };
+    })();
 
     // Global variables to manage the minimap state and elements
     let minimapInstance = null; // Stores the Leaflet map instance
     let currentMarker = null;   // Stores the current position marker on the map
-    let positionUpdateInterval = null; // Interval for periodically updating the player's position
     let lastPosition = null;    // Stores the last known position
+    let positionTrackingSubscribed = false; // Flag to subscribe the minimap to position events only once
     let userInteracting = false; // Flag to check if the user is currently interacting with the map (dragging, zooming)
-    let isInitialized = false;  // Flag to ensure the script initializes only once
-    let lastValidPlaceName = 'Unknown'; // Stores the last successfully fetched place name
+    let isInitialized = false;  // True while the UI is built (between init() and destroyHelper())
+    let themeObserver = null; // Observer reapplying the theme when the site's theme changes
+    let lastValidPlaceName = null; // Stores the last successfully fetched place name
+    let lastPlaceDetails = null; // Structured address of the current place, or null
+    let lastPlaceDisplayName = null; // Fallback name of the current place when it has no structured address
     let positionStatusTimeout = null; // Timeout ID for resetting the connection status indicator
+    let toastTimeout = null; // Timeout ID for hiding the toast message
     let nominatimDebounceTimeout = null; // Timeout ID for debouncing the Nominatim request
-    let nominatimErrorCount = 0; // Counter for consecutive Nominatim errors
-    let nominatimErrorResetTimeout = null; // Timeout ID for resetting the error counter
+    let placeNameRequestController = null; // AbortController of the pending place name request
+
+    // Placement and size of the button and the minimap, persisted under og_minimap_layout
+    let layout = loadLayout();
 
-    // --- CACHE FOR LOCATION NAMES ---
-    // Simple object to hold cached data: { lat: ..., lng: ..., name: ..., timestamp: ... }
-    let locationCache = {};
+    // Marker placed by the coordinates panel's "go to" box
+    let goToMarker = null;
 
-    // The custom marker icon will be defined after Leaflet is loaded.
+    // Layer group holding tracks imported from GeoJSON/GPX/KML/CSV files
+    let importOverlayLayer = null;
+
+    // Trail of the current round and the marker on its starting point
+    let trailLine = null;
+    let startMarker = null;
+
+    // The custom marker icons will be defined after Leaflet is loaded.
     let customMarkerIcon = null;
+    let startMarkerIcon = null;
+    let replayMarkerIcon = null;
 
     // Function to dynamically find the Street View iframe based on its src
+    // The accepted URL formats are defined by the providers registered in PositionModule
     function findStreetViewIframe() {
-        // Find all iframes on the page
-        const iframes = document.querySelectorAll('iframe');
-        // Filter for ones containing 'streetview' in the 'src' attribute
-        for (let iframe of iframes) {
-            if (iframe.src && iframe.src.includes('google.com/maps/embed/v1/streetview')) {
-                return iframe; // Return the first iframe matching the condition
-            }
-        }
-        return null; // Return null if none is found
+        return PositionModule.findIframe();
     }
 
     // Calculates the distance between two points in meters using the Haversine formula
@@ -69,7 +1373,533 @@
     // Checks if a cached location is close enough to the new position to reuse its name
     function isCachedLocationValid(newLat, newLng, cachedLat, cachedLng) {
         const distance = calculateDistance(newLat, newLng, cachedLat, cachedLng);
-        return distance < DISTANCE_THRESHOLD_METERS;
+        return distance < config.distanceThresholdMeters;
+    }
+
+    // Conversions between WGS84 latitude/longitude and the coordinate formats shown in the
+    // coordinates panel: decimal degrees, DMS, UTM, MGRS, Open Location Code and geohash.
+    // Every format has a formatter and a parser; parse() accepts any of them.
+    const Coordinates = (function() {
+        // WGS84 ellipsoid and UTM constants
+        const A = 6378137;
+        const F = 1 / 298.257223563;
+        const E2 = F * (2 - F);
+        const EP2 = E2 / (1 - E2);
+        const K0 = 0.9996;
+        const BANDS = 'CDEFGHJKLMNPQRSTUVWXX'; // 8° latitude bands from -80°, X is 12° tall
+        const MGRS_COLUMNS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+        const MGRS_ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+        const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+        const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+        const RAD = Math.PI / 180;
+
+        function _normalizeLng(lng) {
+            return ((lng + 180) % 360 + 360) % 360 - 180;
+        }
+
+        // --- Decimal degrees ---
+        function toDecimal(lat, lng) {
+            return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+        }
+
+        function _parseDecimal(text) {
+            const match = text.match(/^\s*([-+]?\d+(?:\.\d+)?)\s*(?:,|;|\s)\s*([-+]?\d+(?:\.\d+)?)\s*$/);
+            return match ? { lat: Number(match[1]), lng: Number(match[2]) } : null;
+        }
+
+        // --- Degrees, minutes, seconds ---
+        function _dms(value, positive, negative) {
+            const abs = Math.abs(value);
+            let degrees = Math.floor(abs);
+            let minutes = Math.floor((abs - degrees) * 60);
+            let seconds = Math.round(((abs - degrees) * 60 - minutes) * 600) / 10;
+            if (seconds >= 60) { seconds = 0; minutes++; }
+            if (minutes >= 60) { minutes = 0; degrees++; }
+            return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.toFixed(1).padStart(4, '0')}"${value < 0 ? negative : positive}`;
+        }
+
+        function toDMS(lat, lng) {
+            return `${_dms(lat, 'N', 'S')} ${_dms(lng, 'E', 'W')}`;
+        }
+
+        function _parseDMS(text) {
+            const re = /([NSEW])?\s*(\d+(?:\.\d+)?)\s*[°º]\s*(?:(\d+(?:\.\d+)?)\s*['′]\s*)?(?:(\d+(?:\.\d+)?)\s*(?:["″]|'')\s*)?([NSEW])?/gi;
+            const parts = [];
+            let match;
+            while ((match = re.exec(text)) && parts.length < 2) {
+                const hemisphere = (match[1] || match[5] || '').toUpperCase();
+                let value = Number(match[2]) + Number(match[3] || 0) / 60 + Number(match[4] || 0) / 3600;
+                if (hemisphere === 'S' || hemisphere === 'W') value = -value;
+                parts.push({ value, hemisphere });
+            }
+            if (parts.length !== 2) return null;
+            // Accept "E ... N ..." ordering as well
+            if ('EW'.includes(parts[0].hemisphere) && parts[0].hemisphere && 'NS'.includes(parts[1].hemisphere)) parts.reverse();
+            return { lat: parts[0].value, lng: parts[1].value };
+        }
+
+        // --- UTM ---
+        function _zoneFor(lat, lng) {
+            let zone = Math.floor((lng + 180) / 6) + 1;
+            if (zone > 60) zone = 60;
+            // Norway and Svalbard exceptions
+            if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) zone = 32;
+            if (lat >= 72 && lat <= 84) {
+                if (lng >= 0 && lng < 9) zone = 31;
+                else if (lng >= 9 && lng < 21) zone = 33;
+                else if (lng >= 21 && lng < 33) zone = 35;
+                else if (lng >= 33 && lng < 42) zone = 37;
+            }
+            return zone;
+        }
+
+        // Projects a point into a given zone; returns { easting, northing } (northing with false northing in the south)
+        function _project(lat, lng, zone) {
+            const phi = lat * RAD;
+            const lambda0 = ((zone - 1) * 6 - 180 + 3) * RAD;
+            const sin = Math.sin(phi);
+            const cos = Math.cos(phi);
+            const n = A / Math.sqrt(1 - E2 * sin * sin);
+            const t = Math.tan(phi) ** 2;
+            const c = EP2 * cos * cos;
+            const a = cos * (_normalizeLng(lng) * RAD - lambda0);
+            const e4 = E2 * E2;
+            const e6 = e4 * E2;
+            const m = A * ((1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+                           (3 * E2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+                           (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+                           (35 * e6 / 3072) * Math.sin(6 * phi));
+            const easting = K0 * n * (a + (1 - t + c) * a ** 3 / 6 + (5 - 18 * t + t * t + 72 * c - 58 * EP2) * a ** 5 / 120) + 500000;
+            let northing = K0 * (m + n * Math.tan(phi) * (a * a / 2 + (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24 +
+                                                       (61 - 58 * t + t * t + 600 * c - 330 * EP2) * a ** 6 / 720));
+            if (lat < 0) northing += 10000000;
+            return { easting, northing };
+        }
+
+        // Returns { zone, band, easting, northing } or null outside the UTM latitude range
+        function toUTMParts(lat, lng) {
+            if (lat < -80 || lat > 84) return null;
+            const zone = _zoneFor(lat, lng);
+            const band = BANDS[Math.min(Math.floor((lat + 80) / 8), BANDS.length - 1)];
+            return { zone, band, ..._project(lat, lng, zone) };
+        }
+
+        function toUTM(lat, lng) {
+            const utm = toUTMParts(lat, lng);
+            if (!utm) return null;
+            return `${utm.zone}${utm.band} ${Math.floor(utm.easting)} ${Math.floor(utm.northing)}`;
+        }
+
+        // Inverse projection of UTM coordinates
+        function fromUTM(zone, northern, easting, northing) {
+            const x = easting - 500000;
+            const y = northern ? northing : northing - 10000000;
+            const lambda0 = ((zone - 1) * 6 - 180 + 3) * RAD;
+            const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+            const e4 = E2 * E2;
+            const e6 = e4 * E2;
+            const mu = (y / K0) / (A * (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+            const phi1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+                         (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+                         (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+                         (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+            const sin = Math.sin(phi1);
+            const cos = Math.cos(phi1);
+            const n1 = A / Math.sqrt(1 - E2 * sin * sin);
+            const t1 = Math.tan(phi1) ** 2;
+            const c1 = EP2 * cos * cos;
+            const r1 = A * (1 - E2) / Math.pow(1 - E2 * sin * sin, 1.5);
+            const d = x / (n1 * K0);
+            const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (d * d / 2 -
+                        (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * EP2) * d ** 4 / 24 +
+                        (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * EP2 - 3 * c1 * c1) * d ** 6 / 720);
+            const lng = lambda0 + (d - (1 + 2 * t1 + c1) * d ** 3 / 6 +
+                        (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * EP2 + 24 * t1 * t1) * d ** 5 / 120) / cos;
+            return { lat: lat / RAD, lng: _normalizeLng(lng / RAD) };
+        }
+
+        function _parseUTM(text) {
+            const match = text.trim().match(/^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:m\s*)?E?\s+(\d+(?:\.\d+)?)\s*(?:m\s*)?N?$/i);
+            if (!match) return null;
+            const zone = Number(match[1]);
+            if (zone < 1 || zone > 60) return null;
+            return fromUTM(zone, match[2].toUpperCase() >= 'N', Number(match[3]), Number(match[4]));
+        }
+
+        // --- MGRS ---
+        function toMGRS(lat, lng) {
+            const utm = toUTMParts(lat, lng);
+            if (!utm) return null;
+            const set = (utm.zone - 1) % 3;
+            const column = MGRS_COLUMNS[set][Math.floor(utm.easting / 100000) - 1];
+            const rowOffset = utm.zone % 2 === 0 ? 5 : 0;
+            const row = MGRS_ROWS[(Math.floor(utm.northing / 100000) + rowOffset) % 20];
+            const e = String(Math.floor(utm.easting % 100000)).padStart(5, '0');
+            const n = String(Math.floor(utm.northing % 100000)).padStart(5, '0');
+            return `${utm.zone}${utm.band} ${column}${row} ${e} ${n}`;
+        }
+
+        function _parseMGRS(text) {
+            const match = text.trim().toUpperCase().match(/^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/);
+            if (!match) return null;
+            const zone = Number(match[1]);
+            const band = match[2];
+            let digits = match[6] ? match[5] + match[6] : match[5];
+            if (zone < 1 || zone > 60 || digits.length % 2 !== 0 || digits.length > 10) return null;
+            const precision = digits.length / 2;
+            const scale = 10 ** (5 - precision);
+            const e = precision ? Number(digits.slice(0, precision)) * scale : 0;
+            const n = precision ? Number(digits.slice(precision)) * scale : 0;
+            const columnIndex = MGRS_COLUMNS[(zone - 1) % 3].indexOf(match[3]);
+            const rowIndex = MGRS_ROWS.indexOf(match[4]);
+            if (columnIndex < 0 || rowIndex < 0) return null;
+            const easting = (columnIndex + 1) * 100000 + e;
+            const rowOffset = zone % 2 === 0 ? 5 : 0;
+            let northing = ((rowIndex - rowOffset + 20) % 20) * 100000 + n;
+            // The row letters repeat every 2000 km; pick the cycle that falls inside the latitude band
+            const bandBottom = -80 + BANDS.indexOf(band) * 8;
+            const minNorthing = _project(bandBottom, (zone - 1) * 6 - 180 + 3, zone).northing - 100000;
+            while (northing < minNorthing) northing += 2000000;
+            return fromUTM(zone, band >= 'N', easting, northing);
+        }
+
+        // --- Open Location Code (Plus Codes) ---
+        function toOLC(lat, lng) {
+            const clippedLat = Math.min(Math.max(lat, -90), 90);
+            let latInt = Math.floor((clippedLat + 90) * 8000);
+            let lngInt = Math.floor((_normalizeLng(lng) + 180) * 8000);
+            if (latInt >= 180 * 8000) latInt = 180 * 8000 - 1;
+            let code = '';
+            for (let i = 0; i < 5; i++) {
+                code = OLC_ALPHABET[latInt % 20] + OLC_ALPHABET[lngInt % 20] + code;
+                latInt = Math.floor(latInt / 20);
+                lngInt = Math.floor(lngInt / 20);
+            }
+            return `${code.slice(0, 8)}+${code.slice(8)}`;
+        }
+
+        // Decodes a full code to the centre of its area
+        function _decodeOLC(code) {
+            const clean = code.toUpperCase().replace('+', '').replace(/0+$/, '');
+            let lat = -90;
+            let lng = -180;
+            let latRes = 400;
+            let lngRes = 400;
+            for (let i = 0; i < clean.length; i++) {
+                const value = OLC_ALPHABET.indexOf(clean[i]);
+                if (value < 0) return null;
+                if (i < 10) {
+                    if (i % 2 === 0) {
+                        latRes /= 20;
+                        lat += value * latRes;
+                    } else {
+                        lngRes /= 20;
+                        lng += value * lngRes;
+                    }
+                } else {
+                    // Grid refinement: 5 rows by 4 columns
+                    latRes /= 5;
+                    lngRes /= 4;
+                    lat += Math.floor(value / 4) * latRes;
+                    lng += (value % 4) * lngRes;
+                }
+            }
+            if (clean.length % 2 === 1 && clean.length < 10) return null;
+            return { lat: Math.min(lat + latRes / 2, 90), lng: _normalizeLng(lng + lngRes / 2) };
+        }
+
+        // Parses full codes, and short codes relative to a reference position
+        function _parseOLC(text, reference) {
+            const code = text.trim().toUpperCase();
+            if (!/^[23456789CFGHJMPQRVWX]*0*\+[23456789CFGHJMPQRVWX]*$/.test(code)) return null;
+            const plus = code.indexOf('+');
+            if (plus === 8) return _decodeOLC(code);
+            if (plus > 8 || plus % 2 !== 0 || !reference) return null;
+            // Short code: borrow the leading digits from the reference and take the nearest match
+            const padding = 8 - plus;
+            const resolution = 20 ** (2 - padding / 2);
+            const prefix = toOLC(reference.lat, reference.lng).slice(0, padding);
+            const decoded = _decodeOLC(prefix + code);
+            if (!decoded) return null;
+            if (reference.lat + resolution / 2 < decoded.lat && decoded.lat - resolution >= -90) decoded.lat -= resolution;
+            else if (reference.lat - resolution / 2 > decoded.lat && decoded.lat + resolution <= 90) decoded.lat += resolution;
+            if (reference.lng + resolution / 2 < decoded.lng) decoded.lng -= resolution;
+            else if (reference.lng - resolution / 2 > decoded.lng) decoded.lng += resolution;
+            decoded.lng = _normalizeLng(decoded.lng);
+            return decoded;
+        }
+
+        // --- Geohash ---
+        function toGeohash(lat, lng, precision = 9) {
+            let latRange = [-90, 90];
+            let lngRange = [-180, 180];
+            let hash = '';
+            let bits = 0;
+            let value = 0;
+            let evenBit = true;
+            while (hash.length < precision) {
+                const range = evenBit ? lngRange : latRange;
+                const coordinate = evenBit ? lng : lat;
+                const mid = (range[0] + range[1]) / 2;
+                value <<= 1;
+                if (coordinate >= mid) {
+                    value |= 1;
+                    range[0] = mid;
+                } else {
+                    range[1] = mid;
+                }
+                evenBit = !evenBit;
+                if (++bits === 5) {
+                    hash += GEOHASH_ALPHABET[value];
+                    bits = 0;
+                    value = 0;
+                }
+            }
+            return hash;
+        }
+
+        function _parseGeohash(text) {
+            const hash = text.trim().toLowerCase();
+            if (!/^[0-9bcdefghjkmnpqrstuvwxyz]{2,12}$/.test(hash)) return null;
+            const latRange = [-90, 90];
+            const lngRange = [-180, 180];
+            let evenBit = true;
+            for (const char of hash) {
+                const value = GEOHASH_ALPHABET.indexOf(char);
+                for (let bit = 4; bit >= 0; bit--) {
+                    const range = evenBit ? lngRange : latRange;
+                    const mid = (range[0] + range[1]) / 2;
+                    if ((value >> bit) & 1) range[0] = mid;
+                    else range[1] = mid;
+                    evenBit = !evenBit;
+                }
+            }
+            return { lat: (latRange[0] + latRange[1]) / 2, lng: (lngRange[0] + lngRange[1]) / 2 };
+        }
+
+        // Formats shown in the coordinates panel, in display order
+        const FORMATS = [
+            { id: 'decimal', format: toDecimal, parse: _parseDecimal },
+            { id: 'dms', format: toDMS, parse: _parseDMS },
+            { id: 'utm', format: toUTM, parse: _parseUTM },
+            { id: 'mgrs', format: toMGRS, parse: _parseMGRS },
+            { id: 'olc', format: toOLC, parse: _parseOLC },
+            { id: 'geohash', format: (lat, lng) => toGeohash(lat, lng), parse: _parseGeohash }
+        ];
+
+        // Parses text in any supported format; returns { lat, lng, format } or null.
+        // The reference position is used to resolve short Plus Codes.
+        function parse(text, reference) {
+            if (!text || !text.trim()) return null;
+            for (const { id, parse: parser } of FORMATS) {
+                const result = parser(text, reference);
+                if (result && !isNaN(result.lat) && !isNaN(result.lng) && Math.abs(result.lat) <= 90 && Math.abs(result.lng) <= 180) {
+                    return { lat: result.lat, lng: result.lng, format: id };
+                }
+            }
+            return null;
+        }
+
+        return {
+            FORMATS,
+            parse,
+            toDecimal,
+            toDMS,
+            toUTM,
+            toMGRS,
+            toOLC,
+            toGeohash,
+            fromUTM
+        };
+    })();
+
+    // Saves the button and minimap placement and size to localStorage
+    function saveLayout() {
+        localStorage.setItem('og_minimap_layout', JSON.stringify(layout));
+    }
+
+    // Loads the saved button and minimap placement, falling back to the defaults
+    function loadLayout() {
+        const defaults = {
+            button: { left: 20, top: 80 },
+            map: { left: 20, top: 90, width: 420, height: 340 }
+        };
+        try {
+            const saved = JSON.parse(localStorage.getItem('og_minimap_layout') || 'null');
+            if (saved && saved.button && saved.map) {
+                return { button: { ...defaults.button, ...saved.button }, map: { ...defaults.map, ...saved.map } };
+            }
+        } catch (e) {
+            console.error("Error loading minimap layout from localStorage:", e);
+        }
+        return defaults;
+    }
+
+    // Keeps a box inside the viewport
+    function clampToViewport(box, width, height) {
+        box.left = Math.min(Math.max(0, box.left), Math.max(0, window.innerWidth - width));
+        box.top = Math.min(Math.max(0, box.top), Math.max(0, window.innerHeight - height));
+    }
+
+    // Snaps a box to the nearest screen edges (and so to the corners) when dropped close to them
+    function snapToEdges(box, width, height) {
+        if (!config.snapToEdges) return;
+        const distance = config.snapDistancePx;
+        const margin = LAYOUT_SNAP_MARGIN;
+        if (box.left < distance) box.left = margin;
+        else if (window.innerWidth - (box.left + width) < distance) box.left = window.innerWidth - width - margin;
+        if (box.top < distance) box.top = margin;
+        else if (window.innerHeight - (box.top + height) < distance) box.top = window.innerHeight - height - margin;
+    }
+
+    // Applies the in-memory layout to the button and the minimap, keeping both on screen
+    function applyLayout() {
+        const buttonWrapper = document.getElementById('buttonWrapper');
+        if (buttonWrapper) {
+            clampToViewport(layout.button, LOCATION_BUTTON_SIZE, LOCATION_BUTTON_SIZE);
+            buttonWrapper.style.left = `${layout.button.left}px`;
+            buttonWrapper.style.top = `${layout.button.top}px`;
+        }
+        const map = document.getElementById('mapWrapper');
+        if (map) {
+            layout.map.width = Math.min(Math.max(layout.map.width, MINIMAP_MIN_WIDTH), Math.max(MINIMAP_MIN_WIDTH, window.innerWidth));
+            layout.map.height = Math.min(Math.max(layout.map.height, MINIMAP_MIN_HEIGHT), Math.max(MINIMAP_MIN_HEIGHT, window.innerHeight));
+            clampToViewport(layout.map, layout.map.width, layout.map.height);
+            map.style.left = `${layout.map.left}px`;
+            map.style.top = `${layout.map.top}px`;
+            map.style.width = `${layout.map.width}px`;
+            map.style.height = `${layout.map.height}px`;
+        }
+    }
+
+    // Calls onMove(dx, dy, event) while the pointer is dragged from the handle, after a small
+    // threshold; onEnd(dragged, event) runs when the pointer is released. Works for mouse, pen and touch.
+    function makeDraggable(handle, { onMove, onEnd, threshold = 5, ignore }) {
+        handle.addEventListener('pointerdown', e => {
+            if (e.button !== 0 || (ignore && ignore(e))) return;
+            const startX = e.clientX;
+            const startY = e.clientY;
+            let dragging = false;
+            handle.setPointerCapture(e.pointerId);
+            const moveHandler = e_move => {
+                const dx = e_move.clientX - startX;
+                const dy = e_move.clientY - startY;
+                // Determines if dragging has started
+                if (!dragging && (Math.abs(dx) > threshold || Math.abs(dy) > threshold)) {
+                    dragging = true;
+                }
+                if (dragging) onMove(dx, dy, e_move);
+            };
+            const upHandler = e_up => {
+                handle.removeEventListener('pointermove', moveHandler);
+                handle.removeEventListener('pointerup', upHandler);
+                handle.removeEventListener('pointercancel', upHandler);
+                if (handle.hasPointerCapture(e.pointerId)) handle.releasePointerCapture(e.pointerId);
+                onEnd(dragging, e_up);
+            };
+            handle.addEventListener('pointermove', moveHandler);
+            handle.addEventListener('pointerup', upHandler);
+            handle.addEventListener('pointercancel', upHandler);
+        });
+    }
+
+    // Makes the minimap draggable by its title bar and resizable by its corner handle
+    function setupMinimapLayout(wrapper, titleBar) {
+        titleBar.tabIndex = 0;
+        I18n.localize(titleBar, { label: 'minimap.titleBar' });
+        addArrowKeyControl(titleBar, (dx, dy) => {
+            layout.map.left += dx;
+            layout.map.top += dy;
+            applyLayout();
+            saveLayout();
+        });
+        let origin = null;
+        makeDraggable(titleBar, {
+            ignore: e => e.target.closest('button'),
+            onMove: (dx, dy) => {
+                if (!origin) origin = { left: layout.map.left, top: layout.map.top };
+                layout.map.left = origin.left + dx;
+                layout.map.top = origin.top + dy;
+                applyLayout();
+            },
+            onEnd: dragged => {
+                origin = null;
+                if (!dragged) return;
+                snapToEdges(layout.map, layout.map.width, layout.map.height);
+                applyLayout();
+                saveLayout();
+            }
+        });
+
+        const resizeHandle = document.createElement('div');
+        resizeHandle.id = 'minimapResizeHandle';
+        resizeHandle.tabIndex = 0;
+        resizeHandle.setAttribute('role', 'button');
+        I18n.localize(resizeHandle, { title: 'minimap.resize', label: 'minimap.resize' });
+        wrapper.appendChild(resizeHandle);
+        addArrowKeyControl(resizeHandle, (dx, dy) => {
+            layout.map.width += dx;
+            layout.map.height += dy;
+            applyLayout();
+            if (minimapInstance) minimapInstance.invalidateSize();
+            saveLayout();
+        });
+        let startSize = null;
+        let frame = null;
+        makeDraggable(resizeHandle, {
+            threshold: 0,
+            onMove: (dx, dy) => {
+                if (!startSize) startSize = { width: layout.map.width, height: layout.map.height };
+                layout.map.width = startSize.width + dx;
+                layout.map.height = startSize.height + dy;
+                applyLayout();
+                // Lets Leaflet catch up with the new size at most once per frame
+                if (!frame) {
+                    frame = requestAnimationFrame(() => {
+                        frame = null;
+                        if (minimapInstance) minimapInstance.invalidateSize();
+                    });
+                }
+            },
+            onEnd: () => {
+                startSize = null;
+                if (minimapInstance) minimapInstance.invalidateSize();
+                saveLayout();
+            }
+        });
+    }
+
+    // Shows or hides the minimap, saving the view when it closes
+    function toggleMinimap() {
+        const map = document.getElementById('mapWrapper');
+        if (!map) return;
+        // While popped out the minimap lives in its own window
+        if (PopOut.isOpen()) {
+            PopOut.focus();
+            return;
+        }
+        if (map.classList.contains('visible')) {
+            // --- SAVE VIEW WHEN CLOSING ---
+            saveMapView();
+        }
+        map.classList.toggle('visible'); // Toggles 'visible' class for CSS transitions
+        const button = document.getElementById('locationButton');
+        if (button) button.setAttribute('aria-expanded', String(map.classList.contains('visible')));
+        if (map.classList.contains('visible')) {
+            // Invalidates map size and centers view if minimap becomes visible
+            if (minimapInstance) {
+                minimapInstance.invalidateSize();
+                if (!userInteracting && lastPosition) {
+                    minimapInstance.setView([lastPosition.lat, lastPosition.lng], minimapInstance.getZoom() || 12);
+                }
+            }
+        }
+    }
+
+    // Keeps the button and the minimap inside the viewport when the window is resized
+    function onWindowResize() {
+        applyLayout();
+        if (minimapInstance) minimapInstance.invalidateSize();
     }
 
     // Saves the current map view (center and zoom) to localStorage
@@ -99,48 +1929,1263 @@
         return null; // Return null if no saved view exists or an error occurs
     }
 
-    // Injects CSS styles into the document head to style the minimap and its controls
-    function injectStyles() {
-        const style = document.createElement('style');
-        style.textContent = `
-            :root {
-                --primary-color: #007bff;
-                --light-bg: #ffffff;
-                --dark-bg: #252525;
-                --light-text: #212529;
-                --dark-text: #f8f9fa;
-                --light-border: #dee2e6;
-                --dark-border: #495057;
-                --shadow: 0 5px 15px rgba(0, 0, 0, 0.2);
-                --status-connected: #28a745; /* Green */
-                --status-disconnected: #dc3545; /* Red */
-                --status-error: #ffc107; /* Yellow for errors */
+    // Small promise-based wrapper around IndexedDB used for data that outlives a session.
+    // All object stores are declared here; bump IDB_VERSION when adding a new one.
+    const IDB = (function() {
+        const IDB_NAME = 'og_helper';
+        const IDB_VERSION = 5;
+        const IDB_STORES = { locationNames: 'key', boundaries: 'url', rounds: 'id', placeStats: 'roundId', tiles: 'url', tileMeta: 'url' }; // store name -> keyPath
+        let dbPromise = null;
+
+        // Opens (and upgrades if needed) the database, resolving to null if IndexedDB is unavailable
+        function _open() {
+            if (dbPromise) return dbPromise;
+            dbPromise = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.entries(IDB_STORES).forEach(([name, keyPath]) => {
+                        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+                    });
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Lets a newer version of the script in another tab upgrade the database
+                    db.onversionchange = () => {
+                        db.close();
+                        dbPromise = null;
+                    };
+                    // After a blocked upgrade, later calls use the database once it finally opens
+                    dbPromise = Promise.resolve(db);
+                    resolve(db);
+                };
+                request.onerror = () => {
+                    console.error('OpenGuessr Helper: Could not open IndexedDB:', request.error);
+                    resolve(null);
+                };
+                // Another tab still has an older version open: carry on in memory until it closes
+                request.onblocked = () => {
+                    console.warn('OpenGuessr Helper: IndexedDB upgrade blocked by another tab; data is not persisted until it closes.');
+                    resolve(null);
+                };
+            });
+            return dbPromise;
+        }
+
+        // Runs a single request against a store and resolves with its result
+        async function _run(storeName, mode, makeRequest) {
+            const db = await _open();
+            if (!db) return null;
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, mode);
+                const request = makeRequest(tx.objectStore(storeName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return {
+            get: function(storeName, key) { return _run(storeName, 'readonly', s => s.get(key)); },
+            getAll: async function(storeName) { return (await _run(storeName, 'readonly', s => s.getAll())) || []; },
+            put: function(storeName, value) { return _run(storeName, 'readwrite', s => s.put(value)); },
+            delete: function(storeName, key) { return _run(storeName, 'readwrite', s => s.delete(key)); },
+            clear: function(storeName) { return _run(storeName, 'readwrite', s => s.clear()); }
+        };
+    })();
+
+    // Spatial cache for location names.
+    // Entries are bucketed in a lat/lng grid so a lookup only scans the cells that can
+    // contain a point within config.distanceThresholdMeters, and the nearest entry wins.
+    // The cache is persisted to IndexedDB, entries expire after config.locationCacheTtlHours
+    // and the least recently used entries are evicted above config.locationCacheMaxEntries.
+    // Names are kept per place-name language ('' for local names), which is part of the key.
+    const LocationCache = (function() {
+        const STORE = 'locationNames';
+        const CELL_SIZE_DEG = 0.01; // Grid cell size (~1.1 km of latitude)
+        const entries = new Map(); // key -> entry
+        const buckets = new Map(); // cell key -> Set of entry keys
+        const stats = { hits: 0, misses: 0 };
+        let loadPromise = null;
+
+        function _cellKey(latCell, lngCell) {
+            return `${latCell}:${lngCell}`;
+        }
+
+        function _cellOf(lat, lng) {
+            return [Math.floor(lat / CELL_SIZE_DEG), Math.floor(lng / CELL_SIZE_DEG)];
+        }
+
+        function _entryKey(lat, lng, language) {
+            return `${language}|${lat.toFixed(6)},${lng.toFixed(6)}`;
+        }
+
+        function _isExpired(entry) {
+            return Date.now() - entry.timestamp > config.locationCacheTtlHours * 3600000;
+        }
+
+        function _index(entry) {
+            entries.set(entry.key, entry);
+            const cell = _cellKey(..._cellOf(entry.lat, entry.lng));
+            if (!buckets.has(cell)) buckets.set(cell, new Set());
+            buckets.get(cell).add(entry.key);
+        }
+
+        function _remove(key, persist = true) {
+            const entry = entries.get(key);
+            if (!entry) return;
+            entries.delete(key);
+            const cell = _cellKey(..._cellOf(entry.lat, entry.lng));
+            const bucket = buckets.get(cell);
+            if (bucket) {
+                bucket.delete(key);
+                if (bucket.size === 0) buckets.delete(cell);
             }
-            [data-theme="dark"] {
-                --primary-color: #00A86B;
-                --light-bg: #2c2c2c;
-                --dark-bg: #1a1a1a;
-                --light-text: #f8f9fa;
-                --dark-text: #f8f9fa;
-                --light-border: #495057;
-                --dark-border: #6c757d;
+            if (persist) IDB.delete(STORE, key).catch(e => console.error('Error deleting cached location:', e));
+        }
+
+        function _persist(entry) {
+            IDB.put(STORE, entry).catch(e => console.error('Error persisting cached location:', e));
+        }
+
+        // Evicts least recently used entries until the cache fits its size cap
+        function _evict() {
+            if (entries.size <= config.locationCacheMaxEntries) return;
+            const byAccess = Array.from(entries.values()).sort((a, b) => a.lastAccess - b.lastAccess);
+            byAccess.slice(0, entries.size - config.locationCacheMaxEntries).forEach(e => _remove(e.key));
+        }
+
+        // Loads persisted entries once, dropping the expired ones
+        function load() {
+            if (loadPromise) return loadPromise;
+            loadPromise = IDB.getAll(STORE).then(stored => {
+                stored.forEach(entry => {
+                    if (_isExpired(entry)) {
+                        IDB.delete(STORE, entry.key).catch(() => {});
+                    } else if (!entries.has(entry.key)) {
+                        _index(entry);
+                    }
+                });
+                _evict();
+                console.log(`OpenGuessr Helper: Loaded ${entries.size} cached location names.`);
+            }).catch(e => console.error('Error loading location cache:', e));
+            return loadPromise;
+        }
+
+        // Returns the nearest non-expired entry in the given language within the distance threshold, or null
+        function get(lat, lng, language = '') {
+            const [latCell, lngCell] = _cellOf(lat, lng);
+            const metersPerDegLng = 111320 * Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+            const latRange = Math.ceil(config.distanceThresholdMeters / 111320 / CELL_SIZE_DEG);
+            const lngRange = Math.ceil(config.distanceThresholdMeters / metersPerDegLng / CELL_SIZE_DEG);
+            let best = null;
+            let bestDistance = Infinity;
+            for (let dLat = -latRange; dLat <= latRange; dLat++) {
+                for (let dLng = -lngRange; dLng <= lngRange; dLng++) {
+                    const bucket = buckets.get(_cellKey(latCell + dLat, lngCell + dLng));
+                    if (!bucket) continue;
+                    for (const key of Array.from(bucket)) {
+                        const entry = entries.get(key);
+                        if (_isExpired(entry)) {
+                            _remove(key);
+                            continue;
+                        }
+                        // Entries cached before names were stored per language have no language and never match
+                        if (entry.language !== language) continue;
+                        if (!isCachedLocationValid(lat, lng, entry.lat, entry.lng)) continue;
+                        const distance = calculateDistance(lat, lng, entry.lat, entry.lng);
+                        if (distance < bestDistance) {
+                            best = entry;
+                            bestDistance = distance;
+                        }
+                    }
+                }
             }
-            #mapWrapper {
-                position: fixed;
-                top: 90px;
-                left: 20px;
-                z-index: 10000;
-                width: 420px;
-                height: 340px;
-                border-radius: 12px;
-                background: var(--light-bg);
-                box-shadow: var(--shadow);
-                display: none;
-                opacity: 0;
-                transform: scale(0.95);
+            if (best) {
+                stats.hits++;
+                best.lastAccess = Date.now();
+                _persist(best);
+            } else {
+                stats.misses++;
+            }
+            return best;
+        }
+
+        // Stores a resolved name, and its structured details if known, for a position and language
+        function set(lat, lng, name, details = null, language = '') {
+            const now = Date.now();
+            const entry = { key: _entryKey(lat, lng, language), lat, lng, language, name, details, timestamp: now, lastAccess: now };
+            _remove(entry.key, false);
+            _index(entry);
+            _persist(entry);
+            _evict();
+            return entry;
+        }
+
+        // Empties the cache in memory and in IndexedDB
+        function clear() {
+            entries.clear();
+            buckets.clear();
+            stats.hits = 0;
+            stats.misses = 0;
+            return IDB.clear(STORE).catch(e => console.error('Error clearing location cache:', e));
+        }
+
+        return {
+            load,
+            get,
+            set,
+            clear,
+            // Returns hit/miss counters and the current number of entries
+            getStats: function() { return { hits: stats.hits, misses: stats.misses, size: entries.size }; }
+        };
+    })();
+
+    // Shared queue for reverse-geocoding requests.
+    // Requests run one at a time and start at least config.geocoderMinIntervalMs apart, as
+    // required by the Nominatim usage policy. Each request carries an AbortSignal so a
+    // request for a position that is no longer current can be dropped or aborted.
+    const GeocoderQueue = (function() {
+        let lastRequestTime = 0;
+        let chain = Promise.resolve();
+
+        function _abortError() {
+            return new DOMException('Geocoding request cancelled', 'AbortError');
+        }
+
+        // Waits for the given time, rejecting early if the signal is aborted
+        function _wait(ms, signal) {
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    resolve();
+                }, ms);
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(_abortError());
+                };
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+
+        // Queues task(signal) and resolves with its result once it has run
+        function enqueue(task, signal) {
+            const run = async () => {
+                if (signal && signal.aborted) throw _abortError();
+                const wait = lastRequestTime + config.geocoderMinIntervalMs - Date.now();
+                if (wait > 0) await _wait(wait, signal);
+                lastRequestTime = Date.now();
+                return task(signal);
+            };
+            const result = chain.then(run, run);
+            chain = result.catch(() => {});
+            return result;
+        }
+
+        return { enqueue };
+    })();
+
+    // Reads a value from an object using a dotted path. Alternatives can be given with "|",
+    // e.g. "address.city|address.town", and the first non-empty value is returned.
+    function readJsonPath(obj, path) {
+        if (!path) return undefined;
+        for (const alternative of path.split('|')) {
+            let value = obj;
+            for (const part of alternative.trim().split('.')) {
+                if (value === null || value === undefined) break;
+                value = value[/^\d+$/.test(part) ? Number(part) : part];
+            }
+            if (value !== null && value !== undefined && value !== '') return value;
+        }
+        return undefined;
+    }
+
+    // Fills {placeholders} in a URL template with URI-encoded values
+    function fillUrlTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? encodeURIComponent(values[key]) : match));
+    }
+
+    // Reverse-geocoder backends. Each backend builds a request URL and normalises the
+    // response into { address: {...Nominatim-style keys}, displayName }. Backends that do
+    // not talk to a web service implement lookup(lat, lng) instead and bypass the queue.
+    const GeocoderBackends = {
+        nominatim: {
+            label: 'Nominatim',
+            buildUrl: ({ lat, lng, language, email }) => {
+                const params = new URLSearchParams({ format: 'json', lat, lon: lng, zoom: 18, addressdetails: 1 });
+                // Without the parameter Nominatim would follow the browser's Accept-Language header;
+                // 'und' (undetermined) matches no translated name, so it falls back to the local one
+                params.set('accept-language', language || 'und');
+                if (email) params.set('email', email);
+                return `https://nominatim.openstreetmap.org/reverse?${params}`;
+            },
+            parse: data => ({ address: data.address || null, displayName: data.display_name || '' })
+        },
+        photon: {
+            label: 'Photon',
+            buildUrl: ({ lat, lng, language }) => {
+                const params = new URLSearchParams({ lat, lon: lng });
+                if (language) params.set('lang', language.split('-')[0]);
+                return `https://photon.komoot.io/reverse?${params}`;
+            },
+            parse: data => {
+                const props = data && data.features && data.features[0] ? data.features[0].properties : null;
+                if (!props) return { address: null, displayName: '' };
+                return {
+                    address: {
+                        country: props.country,
+                        country_code: props.countrycode ? props.countrycode.toLowerCase() : undefined,
+                        state: props.state,
+                        county: props.county,
+                        city: props.city || (props.type === 'city' ? props.name : undefined),
+                        road: props.street,
+                        postcode: props.postcode
+                    },
+                    displayName: props.name || ''
+                };
+            }
+        },
+        custom: {
+            label: 'Custom',
+            // Only available once a URL template has been configured
+            isConfigured: () => Boolean(config.customGeocoderUrl),
+            buildUrl: ({ lat, lng, language, email }) => fillUrlTemplate(config.customGeocoderUrl, { lat, lng, lang: language || '', email: email || '' }),
+            parse: data => {
+                const address = {};
+                Object.entries(config.customGeocoderPaths).forEach(([field, path]) => {
+                    if (field === 'displayName') return;
+                    const value = readJsonPath(data, path);
+                    if (value !== undefined) address[field] = String(value);
+                });
+                const displayName = readJsonPath(data, config.customGeocoderPaths.displayName);
+                return {
+                    address: Object.keys(address).length ? address : null,
+                    displayName: displayName !== undefined ? String(displayName) : ''
+                };
+            }
+        },
+        offline: {
+            label: 'Offline',
+            lookup: (lat, lng) => OfflineGeocoder.lookup(lat, lng)
+        }
+    };
+
+    // ISO 3166-1 numeric -> alpha-2 codes. world-atlas identifies countries only by their
+    // numeric code (the geometry id) and carries no alpha-2 property.
+    const ISO_NUMERIC_TO_ALPHA2 = {
+        '004': 'af', '008': 'al', '010': 'aq', '012': 'dz', '016': 'as', '020': 'ad', '024': 'ao', '028': 'ag', '031': 'az', '032': 'ar', '036': 'au', '040': 'at',
+        '044': 'bs', '048': 'bh', '050': 'bd', '051': 'am', '052': 'bb', '056': 'be', '060': 'bm', '064': 'bt', '068': 'bo', '070': 'ba', '072': 'bw', '074': 'bv',
+        '076': 'br', '084': 'bz', '086': 'io', '090': 'sb', '092': 'vg', '096': 'bn', '100': 'bg', '104': 'mm', '108': 'bi', '112': 'by', '116': 'kh', '120': 'cm',
+        '124': 'ca', '132': 'cv', '136': 'ky', '140': 'cf', '144': 'lk', '148': 'td', '152': 'cl', '156': 'cn', '158': 'tw', '162': 'cx', '166': 'cc', '170': 'co',
+        '174': 'km', '175': 'yt', '178': 'cg', '180': 'cd', '184': 'ck', '188': 'cr', '191': 'hr', '192': 'cu', '196': 'cy', '203': 'cz', '204': 'bj', '208': 'dk',
+        '212': 'dm', '214': 'do', '218': 'ec', '222': 'sv', '226': 'gq', '231': 'et', '232': 'er', '233': 'ee', '234': 'fo', '238': 'fk', '239': 'gs', '242': 'fj',
+        '246': 'fi', '248': 'ax', '250': 'fr', '254': 'gf', '258': 'pf', '260': 'tf', '262': 'dj', '266': 'ga', '268': 'ge', '270': 'gm', '275': 'ps', '276': 'de',
+        '288': 'gh', '292': 'gi', '296': 'ki', '300': 'gr', '304': 'gl', '308': 'gd', '312': 'gp', '316': 'gu', '320': 'gt', '324': 'gn', '328': 'gy', '332': 'ht',
+        '334': 'hm', '336': 'va', '340': 'hn', '344': 'hk', '348': 'hu', '352': 'is', '356': 'in', '360': 'id', '364': 'ir', '368': 'iq', '372': 'ie', '376': 'il',
+        '380': 'it', '384': 'ci', '388': 'jm', '392': 'jp', '398': 'kz', '400': 'jo', '404': 'ke', '408': 'kp', '410': 'kr', '414': 'kw', '417': 'kg', '418': 'la',
+        '422': 'lb', '426': 'ls', '428': 'lv', '430': 'lr', '434': 'ly', '438': 'li', '440': 'lt', '442': 'lu', '446': 'mo', '450': 'mg', '454': 'mw', '458': 'my',
+        '462': 'mv', '466': 'ml', '470': 'mt', '474': 'mq', '478': 'mr', '480': 'mu', '484': 'mx', '492': 'mc', '496': 'mn', '498': 'md', '499': 'me', '500': 'ms',
+        '504': 'ma', '508': 'mz', '512': 'om', '516': 'na', '520': 'nr', '524': 'np', '528': 'nl', '531': 'cw', '533': 'aw', '534': 'sx', '535': 'bq', '540': 'nc',
+        '548': 'vu', '554': 'nz', '558': 'ni', '562': 'ne', '566': 'ng', '570': 'nu', '574': 'nf', '578': 'no', '580': 'mp', '581': 'um', '583': 'fm', '584': 'mh',
+        '585': 'pw', '586': 'pk', '591': 'pa', '598': 'pg', '600': 'py', '604': 'pe', '608': 'ph', '612': 'pn', '616': 'pl', '620': 'pt', '624': 'gw', '626': 'tl',
+        '630': 'pr', '634': 'qa', '638': 're', '642': 'ro', '643': 'ru', '646': 'rw', '652': 'bl', '654': 'sh', '659': 'kn', '660': 'ai', '662': 'lc', '663': 'mf',
+        '666': 'pm', '670': 'vc', '674': 'sm', '678': 'st', '682': 'sa', '686': 'sn', '688': 'rs', '690': 'sc', '694': 'sl', '702': 'sg', '703': 'sk', '704': 'vn',
+        '705': 'si', '706': 'so', '710': 'za', '716': 'zw', '724': 'es', '728': 'ss', '729': 'sd', '732': 'eh', '740': 'sr', '744': 'sj', '748': 'sz', '752': 'se',
+        '756': 'ch', '760': 'sy', '762': 'tj', '764': 'th', '768': 'tg', '772': 'tk', '776': 'to', '780': 'tt', '784': 'ae', '788': 'tn', '792': 'tr', '795': 'tm',
+        '796': 'tc', '798': 'tv', '800': 'ug', '804': 'ua', '807': 'mk', '818': 'eg', '826': 'gb', '831': 'gg', '832': 'je', '833': 'im', '834': 'tz', '840': 'us',
+        '850': 'vi', '854': 'bf', '858': 'uy', '860': 'uz', '862': 've', '876': 'wf', '882': 'ws', '887': 'ye', '894': 'zm', '983': 'xk'
+    };
+
+    // Offline country / first-level region lookup.
+    // The boundary datasets are pinned releases downloaded on first use (the first fallback,
+    // every lookup in 'primary' mode, or the statistics map) and kept in IndexedDB, so later
+    // lookups work without any network access.
+    // Features are reduced to { name, countryCode, country, bbox, polygons } and a lookup
+    // only runs the point-in-polygon test on features whose bounding box contains the point.
+    const OfflineGeocoder = (function() {
+        const STORE = 'boundaries';
+        const DATASET_FORMAT = 2; // Stored datasets of an older format are downloaded again
+        let loadPromise = null;
+        let countries = [];
+        let regions = [];
+
+        // Decodes a TopoJSON topology into arrays of polygons, one entry per geometry
+        function _decodeTopology(topology, objectName) {
+            const transform = topology.transform;
+            const arcs = topology.arcs.map(arc => {
+                let x = 0, y = 0;
+                return arc.map(point => {
+                    if (!transform) return point.slice(0, 2);
+                    x += point[0];
+                    y += point[1];
+                    return [x * transform.scale[0] + transform.translate[0], y * transform.scale[1] + transform.translate[1]];
+                });
+            });
+            const ring = indexes => {
+                const points = [];
+                indexes.forEach((index, i) => {
+                    const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+                    points.push(...(i > 0 ? arc.slice(1) : arc));
+                });
+                return points;
+            };
+            const object = topology.objects[objectName] || Object.values(topology.objects)[0];
+            return object.geometries.map(geometry => {
+                let polygons = [];
+                if (geometry.type === 'Polygon') polygons = [geometry.arcs.map(ring)];
+                else if (geometry.type === 'MultiPolygon') polygons = geometry.arcs.map(polygon => polygon.map(ring));
+                return { properties: geometry.properties || {}, id: geometry.id, polygons };
+            });
+        }
+
+        // Extracts polygons from a GeoJSON FeatureCollection
+        function _decodeGeoJson(collection) {
+            return collection.features.map(feature => {
+                const geometry = feature.geometry || {};
+                let polygons = [];
+                if (geometry.type === 'Polygon') polygons = [geometry.coordinates];
+                else if (geometry.type === 'MultiPolygon') polygons = geometry.coordinates;
+                return { properties: feature.properties || {}, id: feature.id, polygons };
+            });
+        }
+
+        // Computes [minLng, minLat, maxLng, maxLat] over the outer rings
+        function _bbox(polygons) {
+            const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+            polygons.forEach(polygon => polygon[0].forEach(([lng, lat]) => {
+                if (lng < bbox[0]) bbox[0] = lng;
+                if (lat < bbox[1]) bbox[1] = lat;
+                if (lng > bbox[2]) bbox[2] = lng;
+                if (lat > bbox[3]) bbox[3] = lat;
+            }));
+            return bbox;
+        }
+
+        // Ray casting test of a point against a single ring
+        function _inRing(lng, lat, ring) {
+            let inside = false;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        }
+
+        // A point is inside a polygon when it is in the outer ring and in none of the holes
+        function _inPolygons(lng, lat, polygons) {
+            return polygons.some(([outer, ...holes]) => _inRing(lng, lat, outer) && !holes.some(hole => _inRing(lng, lat, hole)));
+        }
+
+        function _find(features, lat, lng) {
+            return features.find(f => lng >= f.bbox[0] && lng <= f.bbox[2] && lat >= f.bbox[1] && lat <= f.bbox[3] &&
+                                      _inPolygons(lng, lat, f.polygons)) || null;
+        }
+
+        // Reads a dataset from IndexedDB, or downloads, simplifies and stores it
+        async function _loadDataset(url, toFeature) {
+            const stored = await IDB.get(STORE, url);
+            if (stored && stored.format === DATASET_FORMAT) return stored.features;
+            const res = await fetch(url);
+            if (!res.ok) throw new Error(`Boundary dataset error: ${res.status} ${res.statusText}`);
+            const data = await res.json();
+            const decoded = data.type === 'Topology' ? _decodeTopology(data, 'countries') : _decodeGeoJson(data);
+            const features = decoded.filter(f => f.polygons.length).map(f => {
+                const feature = toFeature(f);
+                feature.polygons = f.polygons;
+                feature.bbox = _bbox(f.polygons);
+                return feature;
+            });
+            IDB.put(STORE, { url, format: DATASET_FORMAT, features }).catch(e => console.error('Error storing boundary dataset:', e));
+            return features;
+        }
+
+        // Loads both datasets once; a failing region dataset does not prevent country lookups
+        function load() {
+            if (loadPromise) return loadPromise;
+            const promise = (async () => {
+                const loadedCountries = await _loadDataset(config.offlineCountriesUrl, f => ({
+                    name: f.properties.name || f.properties.NAME || f.properties.ADMIN || '',
+                    countryCode: (f.properties.iso_a2 || f.properties.ISO_A2 || ISO_NUMERIC_TO_ALPHA2[f.id] || '').toLowerCase()
+                }));
+                let loadedRegions = [];
+                try {
+                    loadedRegions = await _loadDataset(config.offlineRegionsUrl, f => ({
+                        name: f.properties.name || f.properties.NAME || '',
+                        country: f.properties.admin || f.properties.ADMIN || '',
+                        countryCode: (f.properties.iso_a2 || f.properties.ISO_A2 || '').toLowerCase()
+                    }));
+                } catch (e) {
+                    console.error('OpenGuessr Helper: Region boundaries unavailable, using countries only:', e);
+                }
+                if (loadPromise !== promise) return; // Reset meanwhile; the newer load wins
+                countries = loadedCountries;
+                regions = loadedRegions;
+                console.log(`OpenGuessr Helper: Offline geocoder ready (${countries.length} countries, ${regions.length} regions).`);
+            })().catch(e => {
+                // Allow a later retry
+                if (loadPromise === promise) loadPromise = null;
+                throw e;
+            });
+            loadPromise = promise;
+            return loadPromise;
+        }
+
+        // Forgets the loaded datasets so the next load() reads the configured URLs again
+        function reset() {
+            loadPromise = null;
+            countries = [];
+            regions = [];
+        }
+
+        // Resolves a point to { address: { country, country_code, state }, displayName }
+        async function lookup(lat, lng) {
+            await load();
+            const region = _find(regions, lat, lng);
+            const country = _find(countries, lat, lng);
+            if (!region && !country) return { address: null, displayName: '' };
+            const countryName = (country && country.name) || (region && region.country) || '';
+            // Natural Earth marks missing codes with negative numbers such as -1, -9 or -99
+            const validCode = code => (/^[a-z]{2}$/.test(code || '') ? code : '');
+            const countryCode = validCode(region && region.countryCode) || validCode(country && country.countryCode);
+            const address = { country: countryName };
+            if (countryCode) address.country_code = countryCode;
+            if (region && region.name) address.state = region.name;
+            return { address, displayName: [countryName, address.state].filter(Boolean).join(', ') };
+        }
+
+        return {
+            load,
+            reset,
+            lookup,
+            // Resolves to the country features ({ name, countryCode, polygons, bbox })
+            getCountries: async function() { await load(); return countries; },
+            // Returns the country feature containing a point; only meaningful once loaded
+            findCountry: function(lat, lng) { return _find(countries, lat, lng); }
+        };
+    })();
+
+    // Reverse geocoder with per-backend failover.
+    // Backends listed in config.geocoderBackends are tried in order. Every backend keeps its own
+    // consecutive error count; once it reaches config.geocoderErrorThreshold the backend is
+    // skipped until config.geocoderErrorResetMs has passed since its last error.
+    const Geocoder = (function() {
+        const backendState = {}; // name -> { errorCount, resetTimeout }
+
+        function _state(name) {
+            if (!backendState[name]) backendState[name] = { errorCount: 0, resetTimeout: null };
+            return backendState[name];
+        }
+
+        // Returns the configured backends that can currently be used
+        function _enabledBackends() {
+            const names = config.geocoderBackends.filter(name => name !== 'offline');
+            if (config.offlineGeocoderMode === 'primary') names.unshift('offline');
+            else if (config.offlineGeocoderMode === 'fallback') names.push('offline');
+            return names.filter(name => {
+                const backend = GeocoderBackends[name];
+                return backend && (!backend.isConfigured || backend.isConfigured());
+            });
+        }
+
+        function _isBackendAvailable(name) {
+            return _state(name).errorCount < config.geocoderErrorThreshold;
+        }
+
+        function _recordSuccess(name) {
+            const state = _state(name);
+            state.errorCount = 0;
+            if (state.resetTimeout) {
+                clearTimeout(state.resetTimeout);
+                state.resetTimeout = null;
+            }
+        }
+
+        function _recordError(name) {
+            const state = _state(name);
+            state.errorCount++;
+            if (state.resetTimeout) clearTimeout(state.resetTimeout);
+            // Give the backend another chance if no more errors occur for a while
+            state.resetTimeout = setTimeout(() => {
+                state.errorCount = 0;
+                state.resetTimeout = null;
+            }, config.geocoderErrorResetMs);
+        }
+
+        // Performs a single request against one backend through the shared queue
+        async function _request(name, lat, lng, signal, language) {
+            const backend = GeocoderBackends[name];
+            if (backend.lookup) {
+                const result = await backend.lookup(lat, lng);
+                if (signal && signal.aborted) throw new DOMException('Geocoding request cancelled', 'AbortError');
+                return { ...result, backend: name };
+            }
+            const url = backend.buildUrl({ lat, lng, language, email: config.geocoderEmail });
+            const data = await GeocoderQueue.enqueue(async taskSignal => {
+                const res = await fetch(url, { signal: taskSignal });
+                if (!res.ok) {
+                    throw new Error(`${backend.label} API error: ${res.status} ${res.statusText}`);
+                }
+                return res.json();
+            }, signal);
+            return { ...backend.parse(data), backend: name };
+        }
+
+        // Resolves a position using the first backend that answers, with names in the given
+        // language ('' for local names).
+        // Rejects with an AbortError when cancelled, or with the last error if every backend failed.
+        async function reverse(lat, lng, signal, language = '') {
+            let lastError = new Error('No reverse geocoder backend is available');
+            for (const name of _enabledBackends()) {
+                if (!_isBackendAvailable(name)) continue;
+                try {
+                    const result = await _request(name, lat, lng, signal, language);
+                    _recordSuccess(name);
+                    return result;
+                } catch (e) {
+                    if (e.name === 'AbortError') throw e;
+                    console.error(`Error fetching place name from ${name}:`, e);
+                    _recordError(name);
+                    lastError = e;
+                }
+            }
+            throw lastError;
+        }
+
+        return {
+            reverse,
+            // True when every enabled backend has reached the error threshold
+            isUnavailable: function() { return !_enabledBackends().some(_isBackendAvailable); },
+            // Registers an additional backend under the given name
+            registerBackend: function(name, backend) { GeocoderBackends[name] = backend; }
+        };
+    })();
+
+    // Records every round's positions into a persisted session log.
+    // A new round starts when the position jumps further than config.roundJumpThresholdMeters
+    // from the previous one, which cannot happen by walking between panoramas.
+    // Rounds are stored in IndexedDB as { id, sessionId, startedAt, updatedAt, start, points, placeName }.
+    const HistoryRecorder = (function() {
+        const STORE = 'rounds';
+        const sessionId = `s${Date.now().toString(36)}`;
+        const sessionStartedAt = Date.now();
+        let rounds = [];        // All known rounds, oldest first
+        let currentRound = null;
+        let loadPromise = null;
+        const roundListeners = [];  // Notified with the new round when a round starts
+        const changeListeners = []; // Notified whenever the history changes
+
+        function _notify(list, arg) {
+            list.forEach(cb => {
+                try { cb(arg); } catch (e) { console.error('Error in history listener:', e); }
+            });
+        }
+
+        function _persist(round) {
+            IDB.put(STORE, round).catch(e => console.error('Error persisting round:', e));
+        }
+
+        // Drops the oldest rounds above config.historyMaxRounds
+        function _trim() {
+            while (rounds.length > config.historyMaxRounds) {
+                const removed = rounds.shift();
+                IDB.delete(STORE, removed.id).catch(() => {});
+            }
+        }
+
+        // Loads rounds recorded in previous sessions
+        function load() {
+            if (loadPromise) return loadPromise;
+            loadPromise = IDB.getAll(STORE).then(stored => {
+                const known = new Set(rounds.map(r => r.id));
+                rounds = stored.filter(r => !known.has(r.id)).concat(rounds).sort((a, b) => a.startedAt - b.startedAt);
+                _trim();
+                _notify(changeListeners);
+            }).catch(e => console.error('Error loading round history:', e));
+            return loadPromise;
+        }
+
+        function _startRound(point) {
+            currentRound = {
+                id: `${sessionId}-r${Date.now().toString(36)}`,
+                sessionId,
+                startedAt: point.timestamp,
+                updatedAt: point.timestamp,
+                start: { lat: point.lat, lng: point.lng, timestamp: point.timestamp },
+                points: [point],
+                placeName: null
+            };
+            rounds.push(currentRound);
+            _trim();
+            console.log('OpenGuessr Helper: New round detected.');
+            _notify(roundListeners, currentRound);
+        }
+
+        // Records a position, starting a new round when it is too far from the previous one
+        function recordPosition(position) {
+            const point = { lat: position.lat, lng: position.lng, timestamp: Date.now(), placeName: null };
+            const previous = currentRound ? currentRound.points[currentRound.points.length - 1] : null;
+            if (previous && previous.lat === point.lat && previous.lng === point.lng) return;
+            if (!previous || calculateDistance(previous.lat, previous.lng, point.lat, point.lng) > config.roundJumpThresholdMeters) {
+                _startRound(point);
+            } else {
+                currentRound.points.push(point);
+                currentRound.updatedAt = point.timestamp;
+            }
+            _persist(currentRound);
+            _notify(changeListeners);
+        }
+
+        // Attaches a resolved place name to the recorded point at that position
+        function recordPlaceName(position, placeName) {
+            if (!currentRound) return;
+            const point = currentRound.points.slice().reverse().find(p => p.lat === position.lat && p.lng === position.lng);
+            if (!point || point.placeName === placeName) return;
+            point.placeName = placeName;
+            if (!currentRound.placeName) currentRound.placeName = placeName;
+            _persist(currentRound);
+            _notify(changeListeners);
+        }
+
+        // Removes all recorded rounds
+        function clear() {
+            rounds = [];
+            currentRound = null;
+            _notify(changeListeners);
+            return IDB.clear(STORE).catch(e => console.error('Error clearing round history:', e));
+        }
+
+        return {
+            load,
+            recordPosition,
+            recordPlaceName,
+            clear,
+            getSessionId: function() { return sessionId; },
+            getSessionStartedAt: function() { return sessionStartedAt; },
+            // Returns all rounds, oldest first
+            getRounds: function() { return rounds.slice(); },
+            getCurrentRound: function() { return currentRound; },
+            // Drops the oldest rounds beyond config.historyMaxRounds, e.g. after the limit was lowered
+            trim: function() {
+                _trim();
+                _notify(changeListeners);
+            },
+            onRoundStart: function(cb) { roundListeners.push(cb); },
+            onChange: function(cb) { changeListeners.push(cb); }
+        };
+    })();
+
+    // Per-round country/region statistics. Each round contributes the first place resolved
+    // for it; entries live in their own store so they outlast history trimming and can be
+    // reset independently of the round history.
+    const PlaceStats = (function() {
+        const STORE = 'placeStats';
+        let entries = new Map(); // roundId -> { roundId, timestamp, lat, lng, country, countryCode, region, regionCode }
+        let loadPromise = null;
+        const changeListeners = [];
+
+        function _notify() {
+            changeListeners.forEach(cb => {
+                try { cb(); } catch (e) { console.error('Error in statistics listener:', e); }
+            });
+        }
+
+        function load() {
+            if (loadPromise) return loadPromise;
+            loadPromise = IDB.getAll(STORE).then(stored => {
+                stored.forEach(entry => { if (!entries.has(entry.roundId)) entries.set(entry.roundId, entry); });
+                _notify();
+            }).catch(e => console.error('Error loading statistics:', e));
+            return loadPromise;
+        }
+
+        // Counts a round once, using the structured details of its first resolved place
+        function record(round, position, details) {
+            if (!round || entries.has(round.id) || !details || !details.country) return;
+            const entry = {
+                roundId: round.id,
+                timestamp: round.startedAt,
+                lat: position.lat,
+                lng: position.lng,
+                country: details.country,
+                countryCode: details.countryCode || '',
+                region: details.state || '',
+                regionCode: details.regionCode || ''
+            };
+            entries.set(round.id, entry);
+            IDB.put(STORE, entry).catch(e => console.error('Error persisting statistics:', e));
+            _notify();
+        }
+
+        // Returns the entries within [from, to] (timestamps, either may be null)
+        function getEntries(from = null, to = null) {
+            return Array.from(entries.values()).filter(e => (from === null || e.timestamp >= from) && (to === null || e.timestamp <= to));
+        }
+
+        // Aggregates entries into { total, countries: [{ name, countryCode, count }], regions: [{ name, country, count }] }
+        // Places are counted by their codes, since names depend on the place-name language in use
+        // when the round was recorded; each row shows the most recently recorded name.
+        function aggregate(list) {
+            const countries = new Map();
+            const regions = new Map();
+            list.slice().sort((a, b) => a.timestamp - b.timestamp).forEach(e => {
+                const countryKey = e.countryCode || e.country;
+                const country = countries.get(countryKey) || { countryCode: e.countryCode, count: 0 };
+                country.name = e.country;
+                country.count++;
+                countries.set(countryKey, country);
+                if (e.region) {
+                    const key = `${countryKey}\u0000${e.regionCode || e.region}`;
+                    const region = regions.get(key) || { count: 0 };
+                    region.name = e.region;
+                    region.count++;
+                    regions.set(key, region);
+                }
+            });
+            // Regions show the country's current name too
+            regions.forEach((region, key) => { region.country = countries.get(key.split('\u0000')[0]).name; });
+            return { total: list.length, countries: Array.from(countries.values()), regions: Array.from(regions.values()) };
+        }
+
+        function reset() {
+            entries = new Map();
+            _notify();
+            return IDB.clear(STORE).catch(e => console.error('Error clearing statistics:', e));
+        }
+
+        return {
+            load,
+            record,
+            getEntries,
+            aggregate,
+            reset,
+            onChange: function(cb) { changeListeners.push(cb); }
+        };
+    })();
+
+    // Serializers and parsers for exporting recorded rounds and importing them back.
+    // Every format maps to the same track shape:
+    // { name, roundId, sessionId, points: [{ lat, lng, timestamp, placeName }] }
+    const LocationFormats = (function() {
+        function _escapeXml(value) {
+            return String(value).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+        }
+
+        function _iso(timestamp) {
+            return timestamp ? new Date(timestamp).toISOString() : '';
+        }
+
+        function _parseTime(value) {
+            const time = value ? Date.parse(value) : NaN;
+            return isNaN(time) ? null : time;
+        }
+
+        function _roundName(round) {
+            return round.placeName || `Round ${formatTimestamp(round.startedAt)}`;
+        }
+
+        function _isValid(lat, lng) {
+            return !isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+        }
+
+        // --- GeoJSON ---
+        function toGeoJSON(rounds) {
+            const features = [];
+            rounds.forEach(round => {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'LineString', coordinates: round.points.map(p => [p.lng, p.lat]) },
+                    properties: { roundId: round.id, sessionId: round.sessionId, name: _roundName(round), startedAt: _iso(round.startedAt) }
+                });
+                round.points.forEach(p => features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [p.lng, p.lat] },
+                    properties: { roundId: round.id, placeName: p.placeName, timestamp: _iso(p.timestamp) }
+                }));
+            });
+            return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+        }
+
+        function _isPosition(coordinates) {
+            return Array.isArray(coordinates) && coordinates.length >= 2 && typeof coordinates[0] === 'number' && typeof coordinates[1] === 'number';
+        }
+
+        function _isLine(coordinates) {
+            return Array.isArray(coordinates) && coordinates.every(_isPosition);
+        }
+
+        // Checks the parts the importer reads; features without a geometry are skipped
+        function _checkGeoJSON(data) {
+            const invalid = !data || typeof data !== 'object' ||
+                (data.type === 'FeatureCollection' && !Array.isArray(data.features));
+            const features = invalid ? [] : data.type === 'FeatureCollection' ? data.features : [data.type === 'Feature' ? data : { geometry: data }];
+            const valid = !invalid && features.every(feature => {
+                if (!feature || typeof feature !== 'object') return false;
+                const geometry = feature.geometry;
+                if (!geometry) return true;
+                if (geometry.type === 'Point') return _isPosition(geometry.coordinates);
+                if (geometry.type === 'LineString') return _isLine(geometry.coordinates);
+                if (geometry.type === 'MultiLineString') return Array.isArray(geometry.coordinates) && geometry.coordinates.every(_isLine);
+                return true;
+            });
+            if (!valid) throw new Error('Invalid GeoJSON file');
+        }
+
+        function fromGeoJSON(text) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                throw new Error('Invalid GeoJSON file');
+            }
+            _checkGeoJSON(data);
+            const features = data.type === 'FeatureCollection' ? data.features : [data.type === 'Feature' ? data : { type: 'Feature', geometry: data, properties: {} }];
+            const tracks = new Map();
+            const track = (key, name) => {
+                if (!tracks.has(key)) tracks.set(key, { name: name || key, roundId: key, points: [] });
+                return tracks.get(key);
+            };
+            features.forEach((feature, i) => {
+                const geometry = feature.geometry || {};
+                const props = feature.properties || {};
+                if (geometry.type === 'Point') {
+                    const [lng, lat] = geometry.coordinates;
+                    const t = track(props.roundId || 'points', props.placeName);
+                    t.points.push({ lat, lng, timestamp: _parseTime(props.timestamp), placeName: props.placeName || props.name || null });
+                } else if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+                    const t = track(props.roundId || `line-${i}`, props.name);
+                    t.name = props.name || t.name;
+                    // Points already imported for this round carry the timestamps and names
+                    if (!t.points.length) {
+                        const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+                        lines.forEach(line => line.forEach(([lng, lat]) => t.points.push({ lat, lng, timestamp: null, placeName: null })));
+                    }
+                }
+            });
+            // Line geometries come before their points in our own exports; prefer the richer points
+            tracks.forEach(t => {
+                const withTime = t.points.filter(p => p.timestamp !== null);
+                if (withTime.length && withTime.length < t.points.length) t.points = withTime;
+            });
+            return Array.from(tracks.values());
+        }
+
+        // --- GPX ---
+        function toGPX(rounds) {
+            const tracks = rounds.map(round => {
+                const points = round.points.map(p =>
+                    `      <trkpt lat="${p.lat}" lon="${p.lng}">` +
+                    (p.timestamp ? `<time>${_iso(p.timestamp)}</time>` : '') +
+                    (p.placeName ? `<name>${_escapeXml(p.placeName)}</name>` : '') +
+                    '</trkpt>').join('\n');
+                return `  <trk>\n    <name>${_escapeXml(_roundName(round))}</name>\n    <desc>${_escapeXml(round.id)}</desc>\n    <trkseg>\n${points}\n    </trkseg>\n  </trk>`;
+            }).join('\n');
+            return `<?xml version="1.0" encoding="UTF-8"?>\n<gpx version="1.1" creator="OpenGuessr-Helper" xmlns="http://www.topografix.com/GPX/1/1">\n${tracks}\n</gpx>\n`;
+        }
+
+        function _parseXml(text) {
+            const doc = new DOMParser().parseFromString(text, 'application/xml');
+            if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid XML file');
+            return doc;
+        }
+
+        // Direct children only: a track's <name> must not be taken from one of its points
+        function _childElement(el, tag) {
+            return el ? Array.from(el.children).find(child => child.localName === tag) || null : null;
+        }
+
+        function _childText(el, tag) {
+            const child = _childElement(el, tag);
+            return child ? child.textContent.trim() : null;
+        }
+
+        function fromGPX(text) {
+            const doc = _parseXml(text);
+            const tracks = [];
+            const toPoint = el => ({
+                lat: parseFloat(el.getAttribute('lat')),
+                lng: parseFloat(el.getAttribute('lon')),
+                timestamp: _parseTime(_childText(el, 'time')),
+                placeName: _childText(el, 'name')
+            });
+            Array.from(doc.getElementsByTagName('trk')).concat(Array.from(doc.getElementsByTagName('rte'))).forEach((trk, i) => {
+                const points = Array.from(trk.getElementsByTagName(trk.tagName === 'trk' ? 'trkpt' : 'rtept')).map(toPoint);
+                tracks.push({ name: _childText(trk, 'name') || `Track ${i + 1}`, roundId: _childText(trk, 'desc'), points });
+            });
+            const waypoints = Array.from(doc.getElementsByTagName('wpt')).map(toPoint);
+            if (waypoints.length) tracks.push({ name: 'Waypoints', roundId: null, points: waypoints });
+            return tracks;
+        }
+
+        // --- KML ---
+        function toKML(rounds) {
+            const folders = rounds.map(round => {
+                const line = `      <Placemark>\n        <name>${_escapeXml(_roundName(round))}</name>\n        <LineString><coordinates>${round.points.map(p => `${p.lng},${p.lat}`).join(' ')}</coordinates></LineString>\n      </Placemark>`;
+                const points = round.points.map(p =>
+                    '      <Placemark>' +
+                    (p.placeName ? `<name>${_escapeXml(p.placeName)}</name>` : '') +
+                    (p.timestamp ? `<TimeStamp><when>${_iso(p.timestamp)}</when></TimeStamp>` : '') +
+                    `<Point><coordinates>${p.lng},${p.lat}</coordinates></Point></Placemark>`).join('\n');
+                return `    <Folder>\n      <name>${_escapeXml(_roundName(round))}</name>\n      <description>${_escapeXml(round.id)}</description>\n${line}\n${points}\n    </Folder>`;
+            }).join('\n');
+            return `<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2">\n  <Document>\n    <name>OpenGuessr-Helper export</name>\n${folders}\n  </Document>\n</kml>\n`;
+        }
+
+        function _kmlCoordinates(text) {
+            return text.trim().split(/\s+/).map(tuple => {
+                const [lng, lat] = tuple.split(',').map(Number);
+                return { lat, lng, timestamp: null, placeName: null };
+            });
+        }
+
+        // Each Placemark belongs to its nearest enclosing Folder (or to the document when it is in
+        // none), so placemarks of nested folders are read once
+        function fromKML(text) {
+            const doc = _parseXml(text);
+            const containers = new Map(); // Folder or document element -> its placemarks
+            Array.from(doc.getElementsByTagName('Placemark')).forEach(pm => {
+                let container = pm.parentElement;
+                while (container && container.localName !== 'Folder') container = container.parentElement;
+                container = container || doc.documentElement;
+                if (!containers.has(container)) containers.set(container, []);
+                containers.get(container).push(pm);
+            });
+            return Array.from(containers, ([container, placemarks], i) => {
+                const points = [];
+                let linePoints = [];
+                placemarks.forEach(pm => {
+                    const point = pm.getElementsByTagName('Point')[0];
+                    const line = pm.getElementsByTagName('LineString')[0];
+                    if (point) {
+                        const [p] = _kmlCoordinates(_childText(point, 'coordinates') || '');
+                        p.placeName = _childText(pm, 'name');
+                        p.timestamp = _parseTime(_childText(_childElement(pm, 'TimeStamp'), 'when'));
+                        points.push(p);
+                    } else if (line) {
+                        linePoints = linePoints.concat(_kmlCoordinates(_childText(line, 'coordinates') || ''));
+                    }
+                });
+                return {
+                    name: (container !== doc.documentElement && _childText(container, 'name')) || `Track ${i + 1}`,
+                    roundId: container !== doc.documentElement ? _childText(container, 'description') : null,
+                    points: points.length ? points : linePoints
+                };
+            });
+        }
+
+        // --- CSV ---
+        const CSV_COLUMNS = ['round_id', 'session_id', 'timestamp', 'lat', 'lng', 'place_name'];
+
+        // Text starting with one of these is run as a formula by spreadsheet applications
+        const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+        function _csvField(value) {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
+
+        // Place names come from the geocoder, so they are kept from being read as formulas
+        function _csvText(value) {
+            return value && CSV_FORMULA_PREFIX.test(value) ? `'${value}` : value;
+        }
+
+        function toCSV(rounds) {
+            const rows = [CSV_COLUMNS.join(',')];
+            rounds.forEach(round => round.points.forEach(p => {
+                rows.push([round.id, round.sessionId, _iso(p.timestamp), p.lat, p.lng, _csvText(p.placeName)].map(_csvField).join(','));
+            }));
+            return rows.join('\n') + '\n';
+        }
+
+        // Splits CSV text into rows of fields, honouring quoted fields
+        function _parseCsvRows(text) {
+            const rows = [];
+            let row = [];
+            let field = '';
+            let quoted = false;
+            for (let i = 0; i < text.length; i++) {
+                const c = text[i];
+                if (quoted) {
+                    if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                    else if (c === '"') quoted = false;
+                    else field += c;
+                } else if (c === '"') {
+                    quoted = true;
+                } else if (c === ',') {
+                    row.push(field);
+                    field = '';
+                } else if (c === '\n' || c === '\r') {
+                    if (c === '\r' && text[i + 1] === '\n') i++;
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += c;
+                }
+            }
+            if (field || row.length) {
+                row.push(field);
+                rows.push(row);
+            }
+            return rows.filter(r => r.some(f => f !== ''));
+        }
+
+        function fromCSV(text) {
+            const [header, ...rows] = _parseCsvRows(text);
+            if (!header) return [];
+            const names = header.map(h => h.trim().toLowerCase());
+            const col = (...candidates) => names.findIndex(n => candidates.includes(n));
+            const latCol = col('lat', 'latitude');
+            const lngCol = col('lng', 'lon', 'long', 'longitude');
+            if (latCol < 0 || lngCol < 0) throw new Error('CSV needs lat and lng columns');
+            const roundCol = col('round_id', 'round');
+            const timeCol = col('timestamp', 'time');
+            const nameCol = col('place_name', 'name');
+            const tracks = new Map();
+            rows.forEach(r => {
+                const key = roundCol >= 0 ? r[roundCol] : 'points';
+                if (!tracks.has(key)) tracks.set(key, { name: key, roundId: roundCol >= 0 ? key : null, points: [] });
+                const point = {
+                    lat: parseFloat(r[latCol]),
+                    lng: parseFloat(r[lngCol]),
+                    timestamp: timeCol >= 0 ? _parseTime(r[timeCol]) : null,
+                    // Undoes the formula guard added by toCSV()
+                    placeName: nameCol >= 0 && r[nameCol] ? r[nameCol].replace(/^'(?=[=+\-@\t\r])/, '') : null
+                };
+                tracks.get(key).points.push(point);
+                if (point.placeName && tracks.get(key).name === key) tracks.get(key).name = point.placeName;
+            });
+            return Array.from(tracks.values());
+        }
+
+        const formats = {
+            geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json', serialize: toGeoJSON, parse: fromGeoJSON },
+            gpx: { label: 'GPX', extension: 'gpx', mime: 'application/gpx+xml', serialize: toGPX, parse: fromGPX },
+            kml: { label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml', serialize: toKML, parse: fromKML },
+            csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', serialize: toCSV, parse: fromCSV }
+        };
+
+        // Picks the format from a file name extension, falling back to sniffing the content
+        function detectFormat(fileName, text) {
+            const ext = (fileName.split('.').pop() || '').toLowerCase();
+            if (ext === 'json') return 'geojson';
+            if (formats[ext]) return ext;
+            const head = text.trim().slice(0, 200);
+            if (head.startsWith('{')) return 'geojson';
+            if (head.includes('<gpx')) return 'gpx';
+            if (head.includes('<kml')) return 'kml';
+            return 'csv';
+        }
+
+        // Parses a file's text and drops invalid points and empty tracks
+        function parse(format, text) {
+            return formats[format].parse(text)
+                .map(t => ({ ...t, points: t.points.filter(p => _isValid(p.lat, p.lng)) }))
+                .filter(t => t.points.length);
+        }
+
+        return {
+            formats,
+            detectFormat,
+            parse,
+            serialize: function(format, rounds) { return formats[format].serialize(rounds); }
+        };
+    })();
+
+    // Shows the cache hit/miss counters as a tooltip on the info panel
+    function updateCacheStatsDisplay() {
+        const infoPanel = document.getElementById('minimapInfo');
+        if (!infoPanel) return;
+        const { hits, misses, size } = LocationCache.getStats();
+        infoPanel.title = t('location.cacheStats', { hits, misses, size });
+    }
+
+    // Injects CSS styles into the document head to style the minimap and its controls
+    function injectStyles() {
+        if (document.getElementById('og-helper-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'og-helper-styles';
+        style.textContent = `
+            /* Theme variables are scoped to the helper's own elements so the page is never affected.
+               The dark and high-contrast palettes name the same roots so they outrank the light defaults. */
+            #mapWrapper, #buttonWrapper, #minimapToast, #minimapShortcutOverlay {
+                --primary-color: #007bff;
+                --light-bg: #ffffff;
+                --dark-bg: #252525;
+                --light-text: #212529;
+                --dark-text: #f8f9fa;
+                --light-border: #dee2e6;
+                --dark-border: #495057;
+                --shadow: 0 5px 15px rgba(0, 0, 0, 0.2);
+                --status-connected: #28a745; /* Green */
+                --status-disconnected: #dc3545; /* Red */
+                --status-error: #ffc107; /* Yellow for errors */
+            }
+            #mapWrapper[data-og-theme="dark"],
+            #buttonWrapper[data-og-theme="dark"],
+            #minimapToast[data-og-theme="dark"],
+            #minimapShortcutOverlay[data-og-theme="dark"] {
+                --primary-color: #00A86B;
+                --light-bg: #2c2c2c;
+                --dark-bg: #1a1a1a;
+                --light-text: #f8f9fa;
+                --dark-text: #f8f9fa;
+                --light-border: #495057;
+                --dark-border: #6c757d;
+            }
+            #mapWrapper[data-og-theme="high-contrast"],
+            #buttonWrapper[data-og-theme="high-contrast"],
+            #minimapToast[data-og-theme="high-contrast"],
+            #minimapShortcutOverlay[data-og-theme="high-contrast"] {
+                --primary-color: #ffd400;
+                --light-bg: #000000;
+                --dark-bg: #000000;
+                --light-text: #ffffff;
+                --dark-text: #ffffff;
+                --light-border: #ffffff;
+                --dark-border: #ffffff;
+                --shadow: 0 0 0 2px #ffffff;
+                --status-connected: #00ff66;
+                --status-disconnected: #ff3b3b;
+                --status-error: #ffd400;
+            }
+            #mapWrapper {
+                position: fixed;
+                top: 90px;
+                left: 20px;
+                z-index: 10000;
+                width: 420px;
+                height: 340px;
+                border-radius: 12px;
+                background: var(--light-bg);
+                box-shadow: var(--shadow);
+                display: none;
+                opacity: 0;
+                transform: scale(0.95);
                 transition: opacity 0.3s ease, transform 0.3s ease;
                 overflow: hidden;
             }
+            #minimapResizeHandle {
+                position: absolute;
+                right: 0;
+                bottom: 0;
+                width: 16px;
+                height: 16px;
+                z-index: 1004;
+                cursor: nwse-resize;
+                touch-action: none;
+                background: linear-gradient(135deg, transparent 50%, rgba(255, 255, 255, 0.6) 50%);
+                border-bottom-right-radius: 12px;
+            }
+            #mapWrapper.popped-out {
+                display: none !important;
+            }
             #mapWrapper.visible {
                 display: block;
                 opacity: 1;
@@ -163,20 +3208,168 @@
                 font-weight: bold;
                 text-align: center;
                 z-index: 1002; /* Above map content */
+                cursor: move;
+                touch-action: none;
                 border-top-left-radius: 12px;
                 border-top-right-radius: 12px;
                 white-space: nowrap;
                 overflow: hidden;
                 text-overflow: ellipsis;
             }
-            #minimapInfo {
+            #minimapProvider {
+                font-weight: normal;
+                opacity: 0.75;
+            }
+            #minimapTitleActions {
                 position: absolute;
-                bottom: 0;
-                left: 0;
-                right: 0;
-                padding: 8px 12px;
-                /* --- IMPROVED READABILITY --- */
-                background: rgba(30, 30, 30, 0.95); /* Darker, more opaque background */
+                top: 1px;
+                right: 6px;
+                display: flex;
+                gap: 2px;
+            }
+            .title-btn {
+                background: transparent;
+                border: none;
+                color: inherit;
+                cursor: pointer;
+                font-size: 12px;
+                padding: 1px 4px;
+                border-radius: 4px;
+            }
+            .title-btn:hover {
+                background: rgba(255, 255, 255, 0.15);
+            }
+            .minimap-panel {
+                position: absolute;
+                top: 26px;
+                left: 0;
+                right: 0;
+                bottom: 36px;
+                z-index: 1003;
+                display: none;
+                flex-direction: column;
+                background: var(--light-bg);
+                color: var(--light-text);
+                font-size: 12px;
+            }
+            .minimap-panel.open {
+                display: flex;
+            }
+            .minimap-panel-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 4px 10px;
+                font-weight: bold;
+                border-bottom: 1px solid var(--light-border);
+            }
+            .minimap-panel-body {
+                flex-grow: 1;
+                overflow-y: auto;
+                padding: 6px 10px;
+            }
+            .minimap-panel-empty {
+                opacity: 0.7;
+                text-align: center;
+                padding: 10px;
+            }
+            .panel-section-title {
+                font-weight: bold;
+                margin: 6px 0 4px;
+            }
+            .panel-row {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 5px;
+                margin-bottom: 4px;
+            }
+            .panel-status {
+                opacity: 0.8;
+                margin-top: 4px;
+            }
+            .panel-form label {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 3px;
+            }
+            .panel-form input[type="text"], .panel-form select, .panel-form textarea {
+                flex-grow: 1;
+                max-width: 65%;
+                font-size: 12px;
+            }
+            .stats-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 12px;
+            }
+            .stats-table th {
+                text-align: left;
+                cursor: pointer;
+                user-select: none;
+                border-bottom: 1px solid rgba(128, 128, 128, 0.4);
+            }
+            .stats-table td:last-child, .stats-table th:last-child {
+                text-align: right;
+            }
+            .coordinate-row {
+                display: grid;
+                grid-template-columns: 70px 1fr;
+                width: 100%;
+                text-align: left;
+                background: transparent;
+                color: inherit;
+                border: none;
+                border-bottom: 1px solid var(--light-border);
+                padding: 4px 0;
+                font-family: monospace;
+                cursor: copy;
+            }
+            .coordinate-row:hover {
+                color: var(--primary-color);
+            }
+            .coordinate-input {
+                flex-grow: 1;
+                font-size: 12px;
+            }
+            .history-session {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                font-weight: bold;
+                margin: 6px 0 3px;
+            }
+            .history-round {
+                display: flex;
+                flex-direction: column;
+                align-items: flex-start;
+                width: 100%;
+                text-align: left;
+                background: transparent;
+                color: inherit;
+                border: 1px solid var(--light-border);
+                border-radius: 5px;
+                padding: 4px 8px;
+                margin-bottom: 3px;
+                cursor: pointer;
+            }
+            .history-round:hover {
+                border-color: var(--primary-color);
+            }
+            .history-meta {
+                opacity: 0.7;
+                font-size: 11px;
+            }
+            #minimapInfo {
+                position: absolute;
+                bottom: 0;
+                left: 0;
+                right: 0;
+                padding: 8px 20px 8px 12px; /* Leaves room for the resize handle */
+                /* --- IMPROVED READABILITY --- */
+                background: rgba(30, 30, 30, 0.95); /* Darker, more opaque background */
                 color: #ffffff; /* Pure white text color */
                 font-size: 14px; /* Slightly larger font */
                 /* --- END IMPROVEMENT --- */
@@ -199,6 +3392,33 @@
                 white-space: nowrap;
                 text-align: left; /* Align text to the left */
                 /* --- END IMPROVEMENT --- */
+            }
+            #minimapDetailsToggle {
+                color: #ffffff;
+                margin-left: 6px;
+            }
+            #minimapPlaceDetails {
+                position: absolute;
+                left: 0;
+                right: 0;
+                bottom: 36px;
+                z-index: 1002;
+                display: none;
+                max-height: 60%;
+                overflow-y: auto;
+                padding: 6px 12px;
+                background: rgba(30, 30, 30, 0.95);
+                color: #ffffff;
+                font-size: 12px;
+            }
+            #minimapPlaceDetails.open {
+                display: block;
+            }
+            .place-detail-row {
+                display: grid;
+                grid-template-columns: 100px 1fr;
+                gap: 6px;
+                padding: 2px 0;
             }
              #minimapStatusDot {
                 width: 12px; /* Increased size */
@@ -213,8 +3433,29 @@
             #minimapInfo.connected #minimapStatusDot {
                  background-color: var(--status-connected);
             }
+            #minimapInfo.disconnected #minimapStatusDot {
+                 /* Hollow ring, so the state does not rely on colour alone */
+                 background-color: transparent;
+                 border: 3px solid var(--status-disconnected);
+                 box-sizing: border-box;
+            }
             #minimapInfo.error #minimapStatusDot {
+                 /* Diamond */
                  background-color: var(--status-error);
+                 border-radius: 2px;
+                 transform: rotate(45deg) scale(0.85);
+            }
+            .visually-hidden {
+                position: absolute !important;
+                width: 1px;
+                height: 1px;
+                overflow: hidden;
+                clip: rect(0 0 0 0);
+                white-space: nowrap;
+            }
+            #mapWrapper :focus-visible, #buttonWrapper :focus-visible, #minimapShortcutOverlay :focus-visible {
+                outline: 2px solid var(--primary-color);
+                outline-offset: 2px;
             }
             #minimapLayerControl {
                 position: absolute;
@@ -249,6 +3490,8 @@
             #locationButton {
                 width: 50px;
                 height: 50px;
+                padding: 0;
+                border: none;
                 background: var(--primary-color);
                 color: white;
                 border-radius: 50%;
@@ -256,6 +3499,8 @@
                 align-items: center;
                 justify-content: center;
                 cursor: pointer;
+                touch-action: none;
+                user-select: none;
                 box-shadow: var(--shadow);
                 font-size: 24px;
                 transition: background-color 0.3s, transform 0.2s ease;
@@ -263,10 +3508,138 @@
             #locationButton:hover {
                 transform: scale(1.1);
             }
+            #minimapToast {
+                position: fixed;
+                z-index: 10002;
+                padding: 6px 10px;
+                border-radius: 6px;
+                background: rgba(30, 30, 30, 0.95);
+                color: #ffffff;
+                font-size: 12px;
+                pointer-events: none;
+                opacity: 0;
+                transition: opacity 0.2s ease;
+            }
+            #minimapToast.visible {
+                opacity: 1;
+            }
+            #minimapShortcutOverlay {
+                position: fixed;
+                inset: 0;
+                z-index: 10003;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+            }
+            .shortcut-card {
+                min-width: 320px;
+                padding: 12px 16px;
+                border-radius: 12px;
+                background: var(--light-bg);
+                color: var(--light-text);
+                box-shadow: var(--shadow);
+                font-size: 13px;
+            }
+            .shortcut-row {
+                display: grid;
+                grid-template-columns: 1fr auto auto;
+                align-items: center;
+                gap: 10px;
+                margin-bottom: 4px;
+            }
+            .shortcut-row kbd {
+                font-family: monospace;
+                padding: 2px 6px;
+                border: 1px solid var(--light-border);
+                border-radius: 4px;
+            }
+            #minimapTrailStats {
+                position: absolute;
+                top: 30px;
+                right: 10px;
+                z-index: 1001;
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                padding: 3px 4px 3px 8px;
+                border-radius: 5px;
+                background: rgba(30, 30, 30, 0.85);
+                color: #ffffff;
+                font-size: 12px;
+            }
+            .minimap-toolbar {
+                position: absolute;
+                left: 10px;
+                right: 10px;
+                bottom: 44px;
+                z-index: 1001;
+                display: none;
+                align-items: center;
+                gap: 4px;
+                padding: 3px 6px;
+                border-radius: 5px;
+                background: rgba(30, 30, 30, 0.9);
+                color: #ffffff;
+                font-size: 12px;
+            }
+            .minimap-toolbar.open {
+                display: flex;
+            }
+            #minimapMeasureStatus {
+                flex-grow: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            #minimapReplaySlider {
+                flex-grow: 1;
+                min-width: 60px;
+            }
+            #minimapReplayTime {
+                white-space: nowrap;
+            }
+            #mapWrapper.replaying .custom-map-marker,
+            #mapWrapper.replaying .start-map-marker,
+            #mapWrapper.replaying .live-trail,
+            #mapWrapper.replaying #minimapTrailStats {
+                display: none;
+            }
+            .replay-map-marker div {
+                width: 14px;
+                height: 14px;
+                border-radius: 50%;
+                background: #e67e22;
+                border: 2px solid #ffffff;
+                box-shadow: 0 0 4px rgba(0, 0, 0, 0.5);
+            }
+            #minimapContent.measuring {
+                cursor: crosshair;
+            }
+            .measure-label {
+                background: rgba(30, 30, 30, 0.85);
+                color: #ffffff;
+                border: none;
+                font-size: 11px;
+                padding: 1px 4px;
+            }
+            .start-map-marker div {
+                width: 10px;
+                height: 10px;
+                background: #ffffff;
+                border: 3px solid #2ecc71;
+                border-radius: 2px;
+                transform: rotate(45deg);
+                box-shadow: 0 0 4px rgba(0,0,0,0.6);
+            }
             .custom-map-marker div {
-                background-color: var(--primary-color) !important;
-                width: 16px !important;
-                height: 16px !important;
+                position: absolute;
+                left: 50%;
+                top: 50%;
+                transform: translate(-50%, -50%);
+                background-color: var(--marker-color, var(--primary-color)) !important;
+                width: var(--marker-size, 16px) !important;
+                height: var(--marker-size, 16px) !important;
                 border-radius: 50% !important;
                 border: 2px solid white !important;
                 box-shadow: 0 0 5px rgba(0,0,0,0.6) !important;
@@ -275,66 +3648,2888 @@
         document.head.appendChild(style);
     }
 
-    // Checks if the dark theme is currently active based on the body's data-theme attribute
-    function isDarkTheme() {
-        return document.body.getAttribute('data-theme') === 'dark';
+    // Palette variables set inline for the 'custom' theme, from the appearance settings
+    const CUSTOM_THEME_VARIABLES = {
+        '--primary-color': 'customPrimaryColor',
+        '--light-bg': 'customBackgroundColor',
+        '--dark-bg': 'customBackgroundColor',
+        '--light-text': 'customTextColor',
+        '--dark-text': 'customTextColor',
+        '--light-border': 'customBorderColor',
+        '--dark-border': 'customBorderColor'
+    };
+
+    // Reads (never changes) the site's theme: a data-theme attribute or "dark" class on
+    // <html>/<body>, falling back to the system preference
+    function readHostTheme() {
+        for (const element of [document.documentElement, document.body]) {
+            if (!element) continue;
+            const attribute = element.getAttribute('data-theme');
+            if (attribute === 'dark' || attribute === 'light') return attribute;
+            if (element.classList.contains('dark')) return 'dark';
+        }
+        return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    // Applies the configured theme to the helper's own root elements only
+    function applyTheme() {
+        const theme = config.theme === 'auto' ? readHostTheme() : config.theme;
+        ['mapWrapper', 'buttonWrapper', 'minimapToast', 'minimapShortcutOverlay'].forEach(id => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            // The custom palette is layered over the light one
+            element.setAttribute('data-og-theme', theme === 'custom' ? 'light' : theme);
+            Object.entries(CUSTOM_THEME_VARIABLES).forEach(([variable, key]) => {
+                if (theme === 'custom') element.style.setProperty(variable, config[key]);
+                else element.style.removeProperty(variable);
+            });
+            if (config.markerColor) element.style.setProperty('--marker-color', config.markerColor);
+            else element.style.removeProperty('--marker-color');
+            element.style.setProperty('--marker-size', `${config.markerSize}px`);
+        });
+    }
+
+    // Follows the site's theme switch and the system preference while the theme is 'auto'
+    function watchHostTheme() {
+        themeObserver = new MutationObserver(() => applyTheme());
+        [document.documentElement, document.body].forEach(element => {
+            themeObserver.observe(element, { attributes: true, attributeFilter: ['data-theme', 'class'] });
+        });
+        if (window.matchMedia) window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', applyTheme);
+    }
+
+    function unwatchHostTheme() {
+        if (themeObserver) themeObserver.disconnect();
+        themeObserver = null;
+        if (window.matchMedia) window.matchMedia('(prefers-color-scheme: dark)').removeEventListener('change', applyTheme);
+    }
+
+    // Leaflet 1.9.4 mirrors, tried in order after the optional local copy (config.leafletLocalUrl).
+    // The mirrors serve the npm package unchanged, so one set of SRI hashes covers all of them.
+    const LEAFLET_MIRRORS = [
+        'https://unpkg.com/leaflet@1.9.4/dist/',
+        'https://cdn.jsdelivr.net/npm/leaflet@1.9.4/dist/'
+    ];
+    const LEAFLET_INTEGRITY = {
+        'leaflet.js': 'sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=',
+        'leaflet.css': 'sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY='
+    };
+    let leafletUrls = null; // { js, css } that were actually loaded, reused by the pop-out window
+    let leafletLoadPromise = null;
+
+    // Appends a <script> or stylesheet <link>, resolving once loaded and rejecting on error or timeout
+    function loadResource(url, integrity) {
+        return new Promise((resolve, reject) => {
+            const isCss = url.endsWith('.css');
+            const element = document.createElement(isCss ? 'link' : 'script');
+            if (isCss) {
+                element.rel = 'stylesheet';
+                element.href = url;
+            } else {
+                element.src = url;
+            }
+            if (integrity) {
+                element.integrity = integrity;
+                element.crossOrigin = 'anonymous';
+            }
+            const timer = setTimeout(() => {
+                element.remove();
+                reject(new Error(`Timed out loading ${url}`));
+            }, config.leafletLoadTimeoutMs);
+            element.onload = () => {
+                clearTimeout(timer);
+                resolve(url);
+            };
+            element.onerror = () => {
+                clearTimeout(timer);
+                element.remove();
+                reject(new Error(`Failed to load ${url} (blocked, unreachable or integrity mismatch)`));
+            };
+            document.head.appendChild(element);
+        });
+    }
+
+    // Lists the places Leaflet is loaded from, in order: the optional local copy (not hash-checked)
+    // and the mirrors with their SRI hashes, as [{ base, integrity: { [file]: hash } | null }]
+    function getLeafletSources() {
+        const sources = [];
+        if (config.leafletLocalUrl) sources.push({ base: config.leafletLocalUrl.replace(/\/?$/, '/'), integrity: null });
+        LEAFLET_MIRRORS.forEach(base => sources.push({ base, integrity: LEAFLET_INTEGRITY }));
+        return sources;
+    }
+
+    // Loads one Leaflet file from the local copy or the mirrors, retrying each source
+    // config.leafletLoadRetries times; resolves with the URL that worked
+    async function loadLeafletFile(file) {
+        for (const source of getLeafletSources()) {
+            for (let attempt = 0; attempt <= config.leafletLoadRetries; attempt++) {
+                try {
+                    return await loadResource(source.base + file, source.integrity && source.integrity[file]);
+                } catch (e) {
+                    console.warn(`OpenGuessr Helper: ${e.message}`);
+                    // A timed-out script may still have finished in the meantime
+                    if (file === 'leaflet.js' && window.L) return source.base + file;
+                }
+            }
+        }
+        throw new Error(`Could not load ${file} from any source`);
+    }
+
+    // Shows the library loading state in #minimapInfo: 'loading', 'failed' or 'loaded'
+    function setLeafletLoadState(state) {
+        const infoPanel = document.getElementById('minimapInfo');
+        const infoText = document.getElementById('minimapInfoText');
+        const retryBtn = document.getElementById('minimapRetryBtn');
+        if (retryBtn) retryBtn.style.display = state === 'failed' ? '' : 'none';
+        if (infoPanel) setConnectionStatus(state === 'failed' ? 'error' : 'disconnected');
+        if (!infoText) return;
+        if (state === 'loading') infoText.textContent = t('map.loading');
+        else if (state === 'failed') infoText.textContent = t('map.failed');
+        else infoText.textContent = t('location.waiting');
+    }
+
+    // Dynamically loads the Leaflet.js library and its CSS
+    // Calls a callback function once Leaflet is loaded and ready
+    function loadLeaflet(callback) {
+        if (window.L) {
+            callback();
+            return;
+        }
+        if (!leafletLoadPromise) {
+            setLeafletLoadState('loading');
+            leafletLoadPromise = (async () => {
+                // Without the stylesheet the map is misdrawn but usable, so only the script is fatal
+                const css = loadLeafletFile('leaflet.css').catch(e => {
+                    console.error('OpenGuessr Helper: Leaflet stylesheet unavailable:', e);
+                    return null;
+                });
+                const js = await loadLeafletFile('leaflet.js');
+                leafletUrls = { js, css: await css };
+            })();
+            leafletLoadPromise.then(() => setLeafletLoadState('loaded'), e => {
+                console.error('OpenGuessr Helper: Leaflet could not be loaded:', e);
+                leafletLoadPromise = null; // Allows the retry button to start over
+                setLeafletLoadState('failed');
+            });
+        }
+        leafletLoadPromise.then(callback, () => {});
+    }
+
+    // Module to get the current geographical position from the game's iframe.
+    // Positions are read through a registry of named providers, each one understanding
+    // a different embed format. Providers are tried in ascending priority order and the
+    // first one returning a valid position becomes the active provider.
+    const PositionModule = (function() {
+        let lastPos = null; // Stores the last retrieved position within this module
+        let providers = []; // Registered providers, kept sorted by priority
+        let activeProvider = null; // Name of the provider that produced the last position
+        const providerListeners = []; // Callbacks notified when the active provider changes
+
+        // Checks that a pair of numbers is a usable latitude/longitude
+        function _isValidLatLng(lat, lng) {
+            return typeof lat === 'number' && typeof lng === 'number' &&
+                   !isNaN(lat) && !isNaN(lng) &&
+                   lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+        }
+
+        // Parses a "lat,lng" string into a position object
+        function _parseLatLngPair(value) {
+            if (!value) return null;
+            const [lat, lng] = value.split(',').map(Number);
+            return _isValidLatLng(lat, lng) ? { lat, lng } : null;
+        }
+
+        // Tries to read a position out of an arbitrary postMessage payload
+        function _coercePosition(data) {
+            if (!data) return null;
+            if (typeof data === 'string') {
+                try { data = JSON.parse(data); } catch (e) { return null; }
+            }
+            if (typeof data !== 'object') return null;
+            const lat = Number(data.lat !== undefined ? data.lat : data.latitude);
+            const lngRaw = data.lng !== undefined ? data.lng : (data.lon !== undefined ? data.lon : data.longitude);
+            const lng = Number(lngRaw);
+            if (_isValidLatLng(lat, lng)) return { lat, lng };
+            // Look one level deeper for common wrappers
+            for (const key of ['position', 'location', 'latLng', 'coords', 'data', 'payload']) {
+                if (data[key] && data[key] !== data) {
+                    const nested = _coercePosition(data[key]);
+                    if (nested) return nested;
+                }
+            }
+            return null;
+        }
+
+        // Remembers pano IDs seen alongside coordinates so pano-only URLs can be resolved
+        const panoPositions = new Map();
+
+        // Latest position received through window.postMessage and the iframe that sent it;
+        // older positions are treated as gone
+        const MESSAGE_POSITION_MAX_AGE_MS = 60000;
+        let messagePosition = null;
+        let messageFrame = null;
+        let listening = false;
+
+        // Only an iframe embedded in the page may report positions: the panorama iframe when a
+        // provider recognises its src, otherwise any iframe (for embeds known only by their messages).
+        // Other windows, and frames merely sharing the panorama's origin, are ignored.
+        function _onMessage(e) {
+            if (!e.source) return;
+            const matched = _findSrcIframe();
+            const candidates = matched ? [matched] : Array.from(document.querySelectorAll('iframe'));
+            const iframe = candidates.find(frame => frame.contentWindow === e.source);
+            if (!iframe) return;
+            const pos = _coercePosition(e.data);
+            if (!pos) return;
+            messagePosition = { ...pos, timestamp: Date.now() };
+            messageFrame = iframe;
+        }
+
+        // Starts accepting postMessage positions
+        function start() {
+            if (listening) return;
+            listening = true;
+            window.addEventListener('message', _onMessage);
+        }
+
+        // Stops accepting postMessage positions and forgets the last one
+        function stop() {
+            listening = false;
+            window.removeEventListener('message', _onMessage);
+            clearMessagePosition();
+        }
+
+        // Forgets the postMessage position so it is not reported again after a pause
+        function clearMessagePosition() {
+            messagePosition = null;
+            messageFrame = null;
+        }
+
+        // Returns the postMessage position unless it has expired or its iframe is gone
+        function _freshMessagePosition() {
+            if (!messagePosition) return null;
+            if (Date.now() - messagePosition.timestamp > MESSAGE_POSITION_MAX_AGE_MS || !messageFrame.isConnected) {
+                clearMessagePosition();
+                return null;
+            }
+            return { lat: messagePosition.lat, lng: messagePosition.lng };
+        }
+
+        // Registers a provider: { name, label, priority, matchesSrc(src), extract(context) }
+        // matchesSrc is optional; providers without it do not need an iframe
+        function registerProvider(provider) {
+            if (!provider || !provider.name || typeof provider.extract !== 'function') {
+                throw new Error('PositionModule: a provider needs a name and an extract() function');
+            }
+            providers = providers.filter(p => p.name !== provider.name);
+            providers.push({ priority: 100, label: provider.name, ...provider });
+            providers.sort((a, b) => a.priority - b.priority);
+        }
+
+        // Removes a provider by name
+        function unregisterProvider(name) {
+            providers = providers.filter(p => p.name !== name);
+            if (activeProvider === name) _setActiveProvider(null);
+        }
+
+        // Updates the active provider and notifies listeners on change
+        function _setActiveProvider(name) {
+            if (name === activeProvider) return;
+            activeProvider = name;
+            const provider = providers.find(p => p.name === name) || null;
+            providerListeners.forEach(cb => {
+                try { cb(provider); } catch (e) { console.error('Error in provider listener:', e); }
+            });
+        }
+
+        // Checks whether an iframe src is understood by any provider
+        function _srcIsSupported(src) {
+            return providers.some(p => typeof p.matchesSrc === 'function' && p.matchesSrc(src));
+        }
+
+        // Finds the first iframe on the page whose src is understood by a provider
+        function _findSrcIframe() {
+            const iframes = document.querySelectorAll('iframe');
+            for (let iframe of iframes) {
+                if (iframe.src && _srcIsSupported(iframe.src)) {
+                    return iframe;
+                }
+            }
+            return null;
+        }
+
+        // Finds the panorama iframe: the one a provider understands, otherwise the one that
+        // recently posted a position
+        function findIframe() {
+            return _findSrcIframe() || (_freshMessagePosition() ? messageFrame : null);
+        }
+
+        // Walks the providers in priority order and returns the first valid position
+        function _getCurrentPosition() {
+            let iframe = null;
+            let url = null;
+            try {
+                iframe = findIframe();
+                if (iframe && iframe.src) url = new URL(iframe.src);
+            } catch (e) {
+                console.error("Error in _getCurrentPosition:", e);
+            }
+            const src = iframe ? iframe.src : '';
+            for (const provider of providers) {
+                if (typeof provider.matchesSrc === 'function' && !(src && provider.matchesSrc(src))) continue;
+                try {
+                    const pos = provider.extract({ iframe, url, src });
+                    if (pos && _isValidLatLng(pos.lat, pos.lng)) {
+                        _setActiveProvider(provider.name);
+                        return { lat: pos.lat, lng: pos.lng };
+                    }
+                } catch (e) {
+                    console.error(`Error in position provider "${provider.name}":`, e);
+                }
+            }
+            _setActiveProvider(null);
+            return null;
+        }
+
+        // --- BUILT-IN PROVIDERS ---
+
+        // Embed API v1: .../maps/embed/v1/streetview?location=lat,lng
+        registerProvider({
+            name: 'embed-v1-location',
+            label: 'Embed v1',
+            priority: 10,
+            matchesSrc: src => src.includes('google.com/maps/embed/v1/streetview'),
+            extract: ({ url }) => {
+                if (!url) return null;
+                const pos = _parseLatLngPair(url.searchParams.get('location'));
+                const pano = url.searchParams.get('pano');
+                if (pos && pano) panoPositions.set(pano, pos);
+                return pos;
+            }
+        });
+
+        // Pano-only URLs: resolved from previously seen pano IDs or a viewpoint parameter
+        registerProvider({
+            name: 'pano',
+            label: 'Pano ID',
+            priority: 20,
+            matchesSrc: src => /google\.[^/]+\/maps/.test(src) && /[?&]pano=/.test(src),
+            extract: ({ url }) => {
+                if (!url) return null;
+                const viewpoint = _parseLatLngPair(url.searchParams.get('viewpoint'));
+                if (viewpoint) return viewpoint;
+                return panoPositions.get(url.searchParams.get('pano')) || null;
+            }
+        });
+
+        // Classic Maps URLs: maps?layer=c&cbll=lat,lng
+        registerProvider({
+            name: 'classic-cbll',
+            label: 'Classic cbll',
+            priority: 30,
+            matchesSrc: src => /google\.[^/]+\/maps/.test(src) && (/[?&]cbll=/.test(src) || /[?&]layer=c\b/.test(src)),
+            extract: ({ url }) => {
+                if (!url) return null;
+                return _parseLatLngPair(url.searchParams.get('cbll')) || _parseLatLngPair(url.searchParams.get('ll'));
+            }
+        });
+
+        // pb-encoded URLs: maps/embed?pb=...!3d<lat>!4d<lng>...
+        registerProvider({
+            name: 'pb-encoded',
+            label: 'pb-encoded',
+            priority: 40,
+            matchesSrc: src => /google\.[^/]+\/maps\/embed/.test(src) && src.includes('!3d') && src.includes('!4d'),
+            extract: ({ src }) => {
+                const match = decodeURIComponent(src).match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+                if (!match) return null;
+                return { lat: Number(match[1]), lng: Number(match[2]) };
+            }
+        });
+
+        // postMessage payloads sent by the game or the embedded panorama
+        registerProvider({
+            name: 'post-message',
+            label: 'postMessage',
+            priority: 50,
+            extract: () => _freshMessagePosition()
+        });
+
+        return {
+            // Public method to get the current position, updates lastPos
+            getCurrentPosition: function() { const p = _getCurrentPosition(); if (p) lastPos = p; return p; },
+            // Public method to retrieve the last known position
+            getLastPosition: function() { return lastPos; },
+            // Finds the panorama iframe using the registered providers
+            findIframe,
+            // Starts / stops listening for postMessage positions
+            start,
+            stop,
+            // Forgets the postMessage position so it is not reported again after a pause
+            clearMessagePosition,
+            // Registers or replaces a provider at runtime
+            registerProvider,
+            // Removes a provider by name
+            unregisterProvider,
+            // Returns a copy of the registered providers in priority order
+            getProviders: function() { return providers.slice(); },
+            // Returns the provider that produced the last position, or null
+            getActiveProvider: function() { return providers.find(p => p.name === activeProvider) || null; },
+            // Subscribes to active provider changes
+            onActiveProviderChange: function(cb) { providerListeners.push(cb); }
+        };
+    })();
+
+    // Wrapper function to get the current position using the PositionModule
+    function getCurrentPosition() { return PositionModule.getCurrentPosition(); }
+
+    // Displays the active position provider in the minimap title bar
+    function updateProviderLabel(provider) {
+        const label = document.getElementById('minimapProvider');
+        if (label) label.textContent = provider ? ` · ${provider.label}` : '';
+    }
+    PositionModule.onActiveProviderChange(updateProviderLabel);
+
+    // Module that watches the panorama iframe and emits position-changed events.
+    // A MutationObserver on the iframe's src attribute reports moves immediately; when the site
+    // swaps the iframe for a new one, the lifecycle's body observer hands it over via setIframe().
+    // Polling is only kept as an optional fallback for embeds that never touch the src.
+    const PositionWatcher = (function() {
+        let observedIframe = null; // The iframe whose src is currently observed
+        let srcObserver = null;    // Observer for src attribute changes
+        let pollInterval = null;   // Interval ID for the polling fallback
+        let lastEmitted = null;    // Last position passed to the listeners
+        let running = false;
+        const listeners = [];      // position-changed subscribers
+
+        // Reads the current position and notifies listeners if it changed
+        function _check() {
+            const pos = getCurrentPosition();
+            if (!pos) return;
+            if (lastEmitted && pos.lat === lastEmitted.lat && pos.lng === lastEmitted.lng) return;
+            lastEmitted = pos;
+            listeners.forEach(cb => {
+                try { cb(pos); } catch (e) { console.error('Error in position-changed listener:', e); }
+            });
+        }
+
+        // Attaches the src observer to the given (or current) iframe, re-attaching if it was swapped
+        function _attach(iframe = findStreetViewIframe()) {
+            if (iframe === observedIframe) return;
+            if (srcObserver) srcObserver.disconnect();
+            observedIframe = iframe;
+            if (iframe) {
+                srcObserver = new MutationObserver(_check);
+                srcObserver.observe(iframe, { attributes: true, attributeFilter: ['src'] });
+                console.log('OpenGuessr Helper: Watching panorama iframe for position changes.');
+            }
+            _check();
+        }
+
+        // postMessage payloads are picked up by PositionModule; re-check when one arrives
+        function _onMessage() {
+            if (running) setTimeout(_check, 0);
+        }
+
+        // Starts or restarts the polling fallback according to the configuration
+        function _updatePolling() {
+            if (pollInterval) {
+                clearInterval(pollInterval);
+                pollInterval = null;
+            }
+            if (running && config.positionPollingFallback) {
+                pollInterval = setInterval(_check, config.positionPollIntervalMs);
+            }
+        }
+
+        function start() {
+            if (running) return;
+            running = true;
+            window.addEventListener('message', _onMessage);
+            _attach();
+            _updatePolling();
+        }
+
+        function stop() {
+            running = false;
+            if (srcObserver) srcObserver.disconnect();
+            srcObserver = null;
+            observedIframe = null;
+            window.removeEventListener('message', _onMessage);
+            _updatePolling();
+        }
+
+        return {
+            start,
+            stop,
+            // Subscribes to position-changed events
+            onPositionChange: function(cb) { listeners.push(cb); },
+            // Forces an immediate position check
+            check: _check,
+            // Follows the panorama iframe found by the caller's DOM observer
+            setIframe: function(iframe) { if (running) _attach(iframe); },
+            // Re-applies config.positionPollingFallback / config.positionPollIntervalMs after a config change
+            refreshPolling: _updatePolling,
+            // Forgets the last emitted position so the next check always emits
+            reset: function() { lastEmitted = null; },
+            isRunning: function() { return running; }
+        };
+    })();
+
+    // Formats a distance in meters for display in the given (or configured) unit system
+    function formatDistance(meters, unit = config.distanceUnit) {
+        if (unit === 'imperial') {
+            const miles = meters / 1609.344;
+            return miles < 0.1 ? `${Math.round(meters * 3.28084)} ft` : `${miles.toFixed(miles < 10 ? 2 : 1)} mi`;
+        }
+        if (unit === 'nautical') {
+            const nm = meters / 1852;
+            return `${nm.toFixed(nm < 10 ? 2 : 1)} NM`;
+        }
+        return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(meters < 10000 ? 2 : 1)} km`;
+    }
+
+    // Sums the distance between consecutive points
+    function pathLength(points) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            total += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+        }
+        return total;
+    }
+
+    // Draws the current round's trail, its starting point and the distance travelled
+    function renderTrail() {
+        if (!minimapInstance) return;
+        const round = HistoryRecorder.getCurrentRound();
+        const points = round ? round.points.map(p => [p.lat, p.lng]) : [];
+        if (!trailLine) {
+            trailLine = L.polyline([], { color: '#3498db', weight: 3, opacity: 0.8, interactive: false, className: 'live-trail' }).addTo(minimapInstance);
+        }
+        trailLine.setLatLngs(points);
+        if (round) {
+            const start = [round.start.lat, round.start.lng];
+            if (startMarker) {
+                startMarker.setLatLng(start);
+            } else {
+                startMarker = L.marker(start, { icon: startMarkerIcon, interactive: false, zIndexOffset: -100 }).addTo(minimapInstance);
+            }
+        } else if (startMarker) {
+            startMarker.remove();
+            startMarker = null;
+        }
+        const stats = document.getElementById('minimapTrailStats');
+        if (stats) {
+            stats.style.display = round ? '' : 'none';
+            const text = stats.querySelector('span');
+            if (text && round) text.textContent = t('trail.travelled', { distance: formatDistance(pathLength(round.points)) });
+        }
+    }
+
+    // Centers the minimap on the current round's starting point
+    function returnToStart() {
+        const round = HistoryRecorder.getCurrentRound();
+        if (!minimapInstance || !round) return;
+        userInteracting = false;
+        minimapInstance.setView([round.start.lat, round.start.lng], minimapInstance.getZoom() || 12);
+    }
+
+    HistoryRecorder.onRoundStart(() => renderTrail());
+    HistoryRecorder.onChange(() => renderTrail());
+
+    // Calculates the initial bearing (0-360°, clockwise from north) from one point to another
+    function calculateBearing(lat1, lng1, lat2, lng2) {
+        const φ1 = lat1 * Math.PI/180;
+        const φ2 = lat2 * Math.PI/180;
+        const Δλ = (lng2-lng1) * Math.PI/180;
+        const y = Math.sin(Δλ) * Math.cos(φ2);
+        const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+        return (Math.atan2(y, x) * 180/Math.PI + 360) % 360;
+    }
+
+    // Converts a bearing into a 16-point compass direction
+    function compassDirection(bearing) {
+        const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        return points[Math.round(bearing / 22.5) % 16];
+    }
+
+    // Interactive measuring on the minimap: a multi-point ruler with segment and total
+    // distances, plus the bearing from the position marker to the last clicked point.
+    // Everything is drawn in its own layer group and only listens to map clicks, so it
+    // leaves the userInteracting tracking alone.
+    const MeasureTool = (function() {
+        let active = false;
+        let points = [];
+        let layer = null;
+
+        function _redraw() {
+            if (!layer) return;
+            layer.clearLayers();
+            if (points.length > 1) {
+                L.polyline(points, { color: '#9b59b6', weight: 3, dashArray: '6 4', interactive: false }).addTo(layer);
+            }
+            points.forEach((p, i) => {
+                L.circleMarker(p, { radius: 4, color: '#9b59b6', fillOpacity: 1, interactive: false }).addTo(layer);
+                if (i > 0) {
+                    const prev = points[i - 1];
+                    const mid = [(prev[0] + p[0]) / 2, (prev[1] + p[1]) / 2];
+                    L.tooltip({ permanent: true, direction: 'center', className: 'measure-label' })
+                        .setLatLng(mid)
+                        .setContent(formatDistance(calculateDistance(prev[0], prev[1], p[0], p[1])))
+                        .addTo(layer);
+                }
+            });
+            const last = points[points.length - 1];
+            if (last && lastPosition) {
+                L.polyline([[lastPosition.lat, lastPosition.lng], last], { color: '#e67e22', weight: 2, dashArray: '2 6', interactive: false }).addTo(layer);
+            }
+            _updateStatus();
+        }
+
+        function _updateStatus() {
+            const status = document.getElementById('minimapMeasureStatus');
+            if (!status) return;
+            if (!points.length) {
+                status.textContent = t('measure.hint');
+                return;
+            }
+            let total = 0;
+            for (let i = 1; i < points.length; i++) {
+                total += calculateDistance(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]);
+            }
+            const parts = [t('measure.total', { distance: formatDistance(total) })];
+            const last = points[points.length - 1];
+            if (lastPosition) {
+                const bearing = calculateBearing(lastPosition.lat, lastPosition.lng, last[0], last[1]);
+                const distance = calculateDistance(lastPosition.lat, lastPosition.lng, last[0], last[1]);
+                parts.push(t('measure.fromMarker', { distance: formatDistance(distance), bearing: Math.round(bearing), direction: compassDirection(bearing) }));
+            }
+            status.textContent = parts.join(' · ');
+        }
+
+        function _onClick(e) {
+            points.push([e.latlng.lat, e.latlng.lng]);
+            _redraw();
+        }
+
+        function start() {
+            if (active || !minimapInstance || Replay.isActive()) return;
+            active = true;
+            layer = L.layerGroup().addTo(minimapInstance);
+            minimapInstance.on('click', _onClick);
+            minimapInstance.getContainer().classList.add('measuring');
+            const bar = document.getElementById('minimapMeasureBar');
+            if (bar) bar.classList.add('open');
+            _redraw();
+        }
+
+        function stop() {
+            if (!active) return;
+            active = false;
+            points = [];
+            minimapInstance.off('click', _onClick);
+            minimapInstance.getContainer().classList.remove('measuring');
+            if (layer) layer.remove();
+            layer = null;
+            const bar = document.getElementById('minimapMeasureBar');
+            if (bar) bar.classList.remove('open');
+        }
+
+        return {
+            start,
+            stop,
+            toggle: function() { if (active) stop(); else start(); },
+            // Removes the last point
+            undo: function() { points.pop(); _redraw(); },
+            clear: function() { points = []; _redraw(); },
+            // Redraws labels, e.g. after the unit or the marker position changed
+            refresh: function() { if (active) _redraw(); },
+            isActive: function() { return active; }
+        };
+    })();
+
+    // Builds the measure toolbar shown while measure mode is active
+    function createMeasureBar(wrapper) {
+        const bar = document.createElement('div');
+        bar.id = 'minimapMeasureBar';
+        bar.className = 'minimap-toolbar';
+        const status = document.createElement('span');
+        status.id = 'minimapMeasureStatus';
+        bar.appendChild(status);
+        const unit = document.createElement('select');
+        unit.id = 'minimapMeasureUnit';
+        I18n.localize(unit, { title: 'measure.unit', label: 'measure.unit' });
+        [['metric', 'km'], ['imperial', 'mi'], ['nautical', 'NM']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            unit.appendChild(option);
+        });
+        unit.value = config.distanceUnit;
+        unit.onchange = () => Settings.set({ distanceUnit: unit.value });
+        bar.appendChild(unit);
+        [['↶', 'measure.undo', () => MeasureTool.undo()], ['🗑', 'measure.clear', () => MeasureTool.clear()], ['✕', 'measure.stop', () => MeasureTool.stop()]].forEach(([icon, title, onClick]) => {
+            const btn = document.createElement('button');
+            btn.className = 'title-btn';
+            btn.textContent = icon;
+            I18n.localize(btn, { title, label: title });
+            btn.onclick = onClick;
+            bar.appendChild(btn);
+        });
+        wrapper.appendChild(bar);
+    }
+
+    // Runs inside the pop-out window. It only knows the channel name and the Leaflet sources,
+    // loads Leaflet from the first source that works (hash-checked like in the page) and
+    // rebuilds the minimap from the messages the main page sends; it must not reference
+    // anything from this script's scope because it is serialised into the pop-out document.
+    function popOutWindowMain(channelName, leafletSources, failedMessage) {
+        const channel = new BroadcastChannel(channelName);
+        document.getElementById('dock').onclick = () => window.close();
+        window.addEventListener('pagehide', () => channel.postMessage({ type: 'closed' }));
+
+        // Appends the file from the source at index, moving on to the next source on error
+        function loadFile(file, index, onLoad, onFail) {
+            const source = leafletSources[index];
+            if (!source) {
+                onFail();
+                return;
+            }
+            const isCss = file.endsWith('.css');
+            const element = document.createElement(isCss ? 'link' : 'script');
+            if (isCss) {
+                element.rel = 'stylesheet';
+                element.href = source.base + file;
+            } else {
+                element.src = source.base + file;
+            }
+            if (source.integrity) {
+                element.integrity = source.integrity[file];
+                element.crossOrigin = 'anonymous';
+            }
+            element.onload = onLoad;
+            element.onerror = () => {
+                element.remove();
+                loadFile(file, index + 1, onLoad, onFail);
+            };
+            document.head.appendChild(element);
+        }
+
+        loadFile('leaflet.css', 0, () => {}, () => {});
+        loadFile('leaflet.js', 0, start, () => {
+            const place = document.getElementById('place');
+            place.textContent = failedMessage;
+            place.classList.add('error');
+        });
+
+        function start() {
+            const map = L.map('map', { attributionControl: false, worldCopyJump: true }).setView([0, 0], 2);
+            const icon = L.divIcon({ className: 'popout-marker', html: '<div></div>', iconSize: [18, 18], iconAnchor: [9, 9] });
+            let marker = null;
+            let tileLayers = [];
+            let dragging = false;
+            let applyingView = false; // Set while showing a view from the main page, so it is not echoed back
+            let nextTileId = 0;
+            const pendingTiles = new Map(); // Tile request id -> callback taking the blob (or null)
+
+            // Builds a tile layer class whose tiles are requested from the main page, so they go
+            // through its tile cache; a null answer means the tile is loaded from its URL
+            function relayedLayerClass(Base) {
+                return Base.extend({
+                    createTile: function(coords, done) {
+                        const tile = document.createElement('img');
+                        L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+                        L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+                        tile.alt = '';
+                        tile.setAttribute('role', 'presentation');
+                        const url = this.getTileUrl(coords);
+                        const id = ++nextTileId;
+                        pendingTiles.set(id, blob => {
+                            const src = blob ? URL.createObjectURL(blob) : url;
+                            if (blob) L.DomEvent.on(tile, 'load error', () => URL.revokeObjectURL(src));
+                            tile.src = src;
+                        });
+                        channel.postMessage({ type: 'tile', id, url, sourceId: this.options.sourceId });
+                        return tile;
+                    }
+                });
+            }
+            const RelayedTileLayer = relayedLayerClass(L.TileLayer);
+            const RelayedWmsLayer = relayedLayerClass(L.TileLayer.WMS);
+
+            function createTileLayer(source) {
+                const options = { maxZoom: source.maxZoom || 19, attribution: source.attribution || '', sourceId: source.id };
+                if (source.subdomains) options.subdomains = source.subdomains;
+                if (source.type === 'wms') {
+                    return new RelayedWmsLayer(source.url, { ...options, layers: source.wmsLayers || '', format: 'image/png', transparent: source.kind === 'overlay' });
+                }
+                return new RelayedTileLayer(source.url, options);
+            }
+
+            function showView(view) {
+                applyingView = true;
+                map.setView([view.lat, view.lng], view.zoom, { animate: false });
+                applyingView = false;
+            }
+
+            function setLayers(layers) {
+                tileLayers.forEach(layer => layer.remove());
+                tileLayers = [createTileLayer(layers.base).setZIndex(0).addTo(map)];
+                layers.overlays.forEach((overlay, i) => {
+                    tileLayers.push(createTileLayer(overlay).setOpacity(overlay.opacity).setZIndex(i + 1).addTo(map));
+                });
+            }
+
+            function setPosition(position, center) {
+                if (marker) marker.setLatLng([position.lat, position.lng]);
+                else marker = L.marker([position.lat, position.lng], { icon }).addTo(map);
+                if (center && !dragging) map.setView([position.lat, position.lng], map.getZoom() || 12);
+            }
+
+            channel.onmessage = e => {
+                const message = e.data || {};
+                if (message.type === 'state') {
+                    if (message.view) showView(message.view);
+                    setLayers(message.layers);
+                    if (message.position) setPosition(message.position, false);
+                    document.getElementById('place').textContent = message.placeName || '';
+                } else if (message.type === 'layers') {
+                    setLayers(message.layers);
+                } else if (message.type === 'position') {
+                    setPosition(message.position, message.center);
+                } else if (message.type === 'view') {
+                    if (!dragging) showView(message.view);
+                } else if (message.type === 'tile') {
+                    const callback = pendingTiles.get(message.id);
+                    pendingTiles.delete(message.id);
+                    if (callback) callback(message.blob || null);
+                } else if (message.type === 'place') {
+                    document.getElementById('place').textContent = message.placeName;
+                } else if (message.type === 'close') {
+                    window.close();
+                }
+            };
+
+            map.on('dragstart', () => dragging = true);
+            map.on('dragend', () => setTimeout(() => dragging = false, 100));
+            map.on('moveend', () => {
+                if (applyingView) return;
+                const center = map.getCenter();
+                channel.postMessage({ type: 'view', view: { lat: center.lat, lng: center.lng, zoom: map.getZoom() } });
+            });
+            channel.postMessage({ type: 'ready' });
+        }
+    }
+
+    // Opens the minimap in a separate window for multi-monitor setups. Position updates,
+    // the layer choice and the place name are streamed to it over a BroadcastChannel, and
+    // the map view is kept in step both ways. The pop-out asks this page for its tiles, so
+    // they go through the shared tile cache. The in-page minimap is hidden meanwhile, and
+    // it is docked again when the window closes.
+    const PopOut = (function() {
+        const WINDOW_NAME = 'og_helper_minimap';
+        let popup = null;
+        let channel = null;
+        let closedPoll = null;
+        let poppedView = null; // Last view reported by the pop-out, applied when docking
+        let applyingView = false; // Set while showing the pop-out's view, so it is not echoed back
+
+        function _send(message) {
+            if (channel) channel.postMessage(message);
+        }
+
+        function _currentView() {
+            const center = minimapInstance.getCenter();
+            return { lat: center.lat, lng: center.lng, zoom: minimapInstance.getZoom() };
+        }
+
+        // Describes the active layers with their full source definitions
+        function _layers() {
+            return {
+                base: LayerManager.getSource(LayerManager.getActiveBase()) || LayerManager.getSources()[0],
+                overlays: LayerManager.getOverlays().map(o => ({ ...LayerManager.getSource(o.id), opacity: o.opacity }))
+            };
+        }
+
+        function _sendState() {
+            _send({
+                type: 'state',
+                view: minimapInstance ? _currentView() : null,
+                layers: _layers(),
+                position: lastPosition,
+                placeName: lastValidPlaceName
+            });
+        }
+
+        // Mirrors the pop-out's view on the hidden in-page minimap
+        function _applyView(view) {
+            poppedView = view;
+            if (!minimapInstance) return;
+            applyingView = true;
+            minimapInstance.setView([view.lat, view.lng], view.zoom, { animate: false });
+            applyingView = false;
+        }
+
+        // Answers a tile request with the cached blob, or with null so the pop-out loads the URL
+        // itself; only tiles of known sources are cached
+        async function _sendTile(message) {
+            const blob = LayerManager.getSource(message.sourceId) ? await TileCache.getTileBlob(message.url, message.sourceId) : null;
+            _send({ type: 'tile', id: message.id, blob });
+        }
+
+        function _onMessage(e) {
+            const message = e.data || {};
+            if (message.type === 'ready') _sendState();
+            else if (message.type === 'view') _applyView(message.view);
+            else if (message.type === 'tile') _sendTile(message);
+            else if (message.type === 'closed') dock();
+        }
+
+        // Escapes translated text for the generated pop-out document
+        function _escape(text) {
+            return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+        }
+
+        function _writeDocument(channelName) {
+            const doc = popup.document;
+            // The source that worked in the page is tried first; when the page provided Leaflet
+            // itself, the pop-out goes through the same sources loadLeaflet() would have used
+            const sources = getLeafletSources();
+            if (leafletUrls) {
+                const index = sources.findIndex(source => leafletUrls.js === `${source.base}leaflet.js`);
+                if (index > 0) sources.unshift(sources.splice(index, 1)[0]);
+            }
+            // JSON is safe inside the inline script once '<' cannot close it
+            const args = [channelName, sources, t('map.failed')].map(arg => JSON.stringify(arg).replace(/</g, '\\u003c')).join(', ');
+            doc.open();
+            doc.write(`<!DOCTYPE html>
+<html>
+<head>
+<title>${_escape(t('popOut.title'))}</title>
+<style>
+    html, body, #map { height: 100%; margin: 0; }
+    #bar { position: absolute; left: 0; right: 0; bottom: 0; z-index: 1000; display: flex; align-items: center; gap: 8px; padding: 6px 10px; background: rgba(30, 30, 30, 0.95); color: #fff; font: 14px sans-serif; }
+    #place { flex-grow: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    #place.error { color: #ff6b6b; }
+    .popout-marker div { width: 14px; height: 14px; border-radius: 50%; background: #3498db; border: 2px solid #fff; box-shadow: 0 0 4px rgba(0, 0, 0, 0.5); }
+</style>
+</head>
+<body>
+<div id="map"></div>
+<div id="bar"><span id="place"></span><button id="dock" title="${_escape(t('popOut.dockTitle'))}">${_escape(t('popOut.dock'))}</button></div>
+<script>(${popOutWindowMain.toString()})(${args});<\/script>
+</body>
+</html>`);
+            doc.close();
+        }
+
+        function open() {
+            if (popup && !popup.closed) {
+                popup.focus();
+                return;
+            }
+            if (typeof BroadcastChannel === 'undefined') {
+                showToast(t('toast.popOutUnsupported'));
+                return;
+            }
+            const wrapper = document.getElementById('mapWrapper');
+            const rect = wrapper ? wrapper.getBoundingClientRect() : null;
+            const width = rect && rect.width ? Math.round(rect.width) : 420;
+            const height = rect && rect.height ? Math.round(rect.height) : 340;
+            popup = window.open('', WINDOW_NAME, `popup,width=${width},height=${height}`);
+            if (!popup) {
+                showToast(t('toast.popOutBlocked'));
+                return;
+            }
+            const channelName = `${WINDOW_NAME}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+            channel = new BroadcastChannel(channelName);
+            channel.onmessage = _onMessage;
+            _writeDocument(channelName);
+            poppedView = null;
+            if (wrapper) wrapper.classList.add('popped-out');
+            // pagehide is not guaranteed (e.g. when the browser kills the window), so also poll
+            closedPoll = setInterval(() => {
+                if (!popup || popup.closed) dock();
+            }, 1000);
+            console.log('OpenGuessr Helper: Minimap popped out');
+        }
+
+        // Closes the pop-out (if still open) and shows the in-page minimap again
+        function dock() {
+            if (!channel) return;
+            clearInterval(closedPoll);
+            closedPoll = null;
+            _send({ type: 'close' });
+            channel.close();
+            channel = null;
+            if (popup && !popup.closed) popup.close();
+            popup = null;
+            const wrapper = document.getElementById('mapWrapper');
+            if (wrapper) wrapper.classList.remove('popped-out');
+            if (minimapInstance) {
+                minimapInstance.invalidateSize();
+                if (poppedView) {
+                    minimapInstance.setView([poppedView.lat, poppedView.lng], poppedView.zoom);
+                    saveMapView();
+                }
+            }
+            console.log('OpenGuessr Helper: Minimap docked');
+        }
+
+        window.addEventListener('pagehide', dock);
+
+        return {
+            open,
+            dock,
+            toggle: function() { if (channel) dock(); else open(); },
+            isOpen: function() { return !!channel; },
+            focus: function() { if (popup && !popup.closed) popup.focus(); },
+            sendPosition: function(position, center) { _send({ type: 'position', position, center }); },
+            sendView: function() { if (channel && minimapInstance && !applyingView) _send({ type: 'view', view: _currentView() }); },
+            sendLayers: function() { if (channel) _send({ type: 'layers', layers: _layers() }); },
+            sendPlaceName: function(placeName) { _send({ type: 'place', placeName }); }
+        };
+    })();
+
+    // Sets the state shown by #minimapInfo and its status dot: 'connected', 'disconnected' or 'error'.
+    // Besides its own dot shape, each state has a text equivalent (status.* messages) for screen readers.
+    function setConnectionStatus(state) {
+        const infoPanel = document.getElementById('minimapInfo');
+        if (!infoPanel) return;
+        infoPanel.classList.remove('connected', 'disconnected', 'error');
+        infoPanel.classList.add(state);
+        const statusDot = document.getElementById('minimapStatusDot');
+        if (statusDot) {
+            statusDot.title = t(`status.${state}`);
+            statusDot.setAttribute('aria-label', t('status.label', { status: statusDot.title }));
+        }
+    }
+
+    // Reads a message out through the polite live region
+    function announce(message) {
+        const region = document.getElementById('minimapAnnouncer');
+        if (!region) return;
+        // Clearing first makes screen readers repeat an identical message
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50);
+    }
+
+    // Runs handler when Enter or Space is pressed on a focusable non-button element
+    function onActivateKey(element, handler) {
+        element.addEventListener('keydown', e => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            handler(e);
+        });
+    }
+
+    // Lets the arrow keys move or resize something: onStep(dx, dy) per press, 10px (50px with Shift)
+    function addArrowKeyControl(element, onStep) {
+        element.addEventListener('keydown', e => {
+            const step = e.shiftKey ? 50 : 10;
+            const delta = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] }[e.key];
+            if (!delta || e.altKey || e.ctrlKey || e.metaKey) return;
+            e.preventDefault();
+            onStep(delta[0], delta[1]);
+        });
+    }
+
+    // Adds an icon button to the right side of the minimap title bar
+    // title is a message key; plain text without a catalogue entry is shown as is
+    function addTitleBarButton(id, icon, title, onClick) {
+        const actions = document.getElementById('minimapTitleActions');
+        if (!actions || document.getElementById(id)) return null;
+        const btn = document.createElement('button');
+        btn.id = id;
+        btn.className = 'title-btn';
+        btn.textContent = icon;
+        I18n.localize(btn, { title, label: title });
+        btn.onclick = e => {
+            e.stopPropagation();
+            onClick(e);
+        };
+        actions.appendChild(btn);
+        return btn;
+    }
+
+    // Creates an overlay panel inside #mapWrapper and returns its body element
+    // title is a message key, translated again whenever the interface language changes
+    function createMinimapPanel(id, title) {
+        const wrapper = document.getElementById('mapWrapper');
+        if (!wrapper) return null;
+        let panel = document.getElementById(id);
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = id;
+            panel.className = 'minimap-panel';
+            panel.setAttribute('role', 'region');
+            I18n.localize(panel, { label: title });
+            panel.addEventListener('keydown', e => {
+                if (e.key === 'Escape') toggleMinimapPanel(id, false);
+            });
+            const header = document.createElement('div');
+            header.className = 'minimap-panel-header';
+            const heading = document.createElement('span');
+            I18n.localize(heading, { text: title });
+            const closeBtn = document.createElement('button');
+            closeBtn.className = 'title-btn';
+            closeBtn.textContent = '✕';
+            I18n.localize(closeBtn, { title: 'button.close', label: 'button.close' });
+            closeBtn.onclick = () => panel.classList.remove('open');
+            header.appendChild(heading);
+            header.appendChild(closeBtn);
+            const body = document.createElement('div');
+            body.className = 'minimap-panel-body';
+            panel.appendChild(header);
+            panel.appendChild(body);
+            wrapper.appendChild(panel);
+        }
+        return panel.querySelector('.minimap-panel-body');
+    }
+
+    // Opens or closes an overlay panel, closing any other open panel; returns the new state
+    function toggleMinimapPanel(id, forceOpen) {
+        const panel = document.getElementById(id);
+        if (!panel) return false;
+        const open = forceOpen !== undefined ? forceOpen : !panel.classList.contains('open');
+        document.querySelectorAll('#mapWrapper .minimap-panel.open').forEach(p => p.classList.remove('open'));
+        panel.classList.toggle('open', open);
+        // Moves keyboard focus into the panel so it can be used (and closed with Escape) right away
+        if (open) {
+            const closeBtn = panel.querySelector('.minimap-panel-header button');
+            if (closeBtn) closeBtn.focus();
+        }
+        return open;
+    }
+
+    // Formats a timestamp for history listings
+    function formatTimestamp(timestamp) {
+        return new Date(timestamp).toLocaleString(I18n.getLocale(), { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    // Fills the history panel with past rounds grouped by session, newest first
+    function renderHistoryPanel() {
+        const body = createMinimapPanel('minimapHistoryPanel', 'panel.history');
+        if (!body) return;
+        body.replaceChildren();
+        const rounds = HistoryRecorder.getRounds().reverse();
+        if (!rounds.length) {
+            const empty = document.createElement('div');
+            empty.className = 'minimap-panel-empty';
+            empty.textContent = t('history.empty');
+            body.appendChild(empty);
+            return;
+        }
+        const sessions = new Map();
+        rounds.forEach(round => {
+            if (!sessions.has(round.sessionId)) sessions.set(round.sessionId, []);
+            sessions.get(round.sessionId).push(round);
+        });
+        sessions.forEach((sessionRounds, sessionId) => {
+            const heading = document.createElement('div');
+            heading.className = 'history-session';
+            const first = sessionRounds[sessionRounds.length - 1];
+            heading.textContent = sessionId === HistoryRecorder.getSessionId()
+                ? t('history.currentSession')
+                : t('history.session', { date: formatTimestamp(first.startedAt) });
+            const replayBtn = document.createElement('button');
+            replayBtn.className = 'title-btn';
+            replayBtn.textContent = '▶';
+            I18n.localize(replayBtn, { title: 'history.replay', label: 'history.replay' });
+            replayBtn.onclick = () => Replay.start(sessionId);
+            heading.appendChild(replayBtn);
+            body.appendChild(heading);
+            sessionRounds.forEach((round, i) => {
+                const item = document.createElement('button');
+                item.className = 'history-round';
+                const label = document.createElement('span');
+                label.textContent = t('history.round', { number: sessionRounds.length - i, place: round.placeName || t('history.unknownPlace') });
+                const meta = document.createElement('span');
+                meta.className = 'history-meta';
+                meta.textContent = t('history.moves', { date: formatTimestamp(round.startedAt), count: round.points.length - 1 });
+                item.appendChild(label);
+                item.appendChild(meta);
+                item.onclick = () => flyToRound(round);
+                body.appendChild(item);
+            });
+        });
+    }
+
+    // Moves the minimap view to the starting point of a recorded round
+    function flyToRound(round) {
+        if (!minimapInstance) return;
+        minimapInstance.flyTo([round.start.lat, round.start.lng], Math.max(minimapInstance.getZoom() || 0, 12));
+    }
+
+    // Opens or closes the history panel
+    function toggleHistoryPanel() {
+        renderHistoryPanel();
+        if (toggleMinimapPanel('minimapHistoryPanel')) HistoryRecorder.load();
+    }
+
+    HistoryRecorder.onChange(() => {
+        const panel = document.getElementById('minimapHistoryPanel');
+        if (panel && panel.classList.contains('open')) renderHistoryPanel();
+    });
+
+    // Plays a recorded session back on the minimap. Points are laid out on a virtual
+    // timeline where long pauses (e.g. between rounds) are shortened to REPLAY_MAX_GAP_MS.
+    // While replaying, the live marker and trail are hidden and the info panel shows the
+    // place names as they were recorded; the history keeps recording in the background.
+    const REPLAY_MAX_GAP_MS = 3000;
+    const Replay = (function() {
+        let steps = [];  // [{ point, round, time }] in playback order
+        let layer = null;
+        let marker = null;
+        let trail = null;
+        let time = 0;
+        let playing = false;
+        let speed = 1;
+        let frame = null;
+        let lastFrameAt = 0;
+        let renderedIndex = -1; // Step shown on the map and in the info panel
+
+        function _duration() {
+            return steps.length ? steps[steps.length - 1].time : 0;
+        }
+
+        // Index of the last step at or before the current time
+        function _index() {
+            let i = 0;
+            while (i + 1 < steps.length && steps[i + 1].time <= time) i++;
+            return i;
+        }
+
+        // Runs every animation frame; the map, the place line (which is also sent to the pop-out
+        // and announced to screen readers) and the time label only change with the step
+        function _render() {
+            const index = _index();
+            const step = steps[index];
+            if (index !== renderedIndex) {
+                renderedIndex = index;
+                const roundPoints = [];
+                let placeName = null;
+                for (let i = index; i >= 0 && steps[i].round === step.round; i--) {
+                    roundPoints.unshift([steps[i].point.lat, steps[i].point.lng]);
+                    if (!placeName && steps[i].point.placeName) placeName = steps[i].point.placeName;
+                }
+                trail.setLatLngs(roundPoints);
+                marker.setLatLng([step.point.lat, step.point.lng]);
+                if (!minimapInstance.getBounds().pad(-0.2).contains(marker.getLatLng())) {
+                    minimapInstance.panTo(marker.getLatLng());
+                }
+                renderPlaceLine(placeName || t('location.unknown'));
+                const label = document.getElementById('minimapReplayTime');
+                if (label) label.textContent = formatTimestamp(step.point.timestamp);
+            }
+
+            const slider = document.getElementById('minimapReplaySlider');
+            if (slider) slider.value = String(Math.round(time));
+            const playBtn = document.getElementById('minimapReplayPlay');
+            if (playBtn) playBtn.textContent = playing ? '⏸' : '▶';
+        }
+
+        function _tick(now) {
+            time = Math.min(_duration(), time + (now - lastFrameAt) * speed);
+            lastFrameAt = now;
+            if (time >= _duration()) playing = false;
+            _render();
+            frame = playing ? requestAnimationFrame(_tick) : null;
+        }
+
+        function play() {
+            if (!steps.length || playing) return;
+            if (time >= _duration()) time = 0;
+            playing = true;
+            lastFrameAt = performance.now();
+            frame = requestAnimationFrame(_tick);
+            _render();
+        }
+
+        function pause() {
+            playing = false;
+            if (frame) cancelAnimationFrame(frame);
+            frame = null;
+            if (steps.length) _render();
+        }
+
+        // Starts replaying every round of a session, oldest first
+        function start(sessionId) {
+            if (!minimapInstance) return;
+            const rounds = HistoryRecorder.getRounds().filter(r => r.sessionId === sessionId);
+            const points = [];
+            rounds.forEach(round => round.points.forEach(point => points.push({ point, round: round.id })));
+            if (!points.length) return;
+            stop();
+            MeasureTool.stop();
+            steps = [];
+            points.forEach((entry, i) => {
+                const gap = i ? Math.min(REPLAY_MAX_GAP_MS, Math.max(0, entry.point.timestamp - points[i - 1].point.timestamp)) : 0;
+                steps.push({ ...entry, time: i ? steps[i - 1].time + gap : 0 });
+            });
+            time = 0;
+            renderedIndex = -1;
+            layer = L.layerGroup().addTo(minimapInstance);
+            trail = L.polyline([], { color: '#e67e22', weight: 3, opacity: 0.9, interactive: false }).addTo(layer);
+            marker = L.marker([steps[0].point.lat, steps[0].point.lng], { icon: replayMarkerIcon, interactive: false }).addTo(layer);
+            document.getElementById('mapWrapper').classList.add('replaying');
+            const slider = document.getElementById('minimapReplaySlider');
+            if (slider) slider.max = String(Math.max(1, Math.round(_duration())));
+            const bar = document.getElementById('minimapReplayBar');
+            if (bar) bar.classList.add('open');
+            showMinimap();
+            minimapInstance.setView([steps[0].point.lat, steps[0].point.lng], minimapInstance.getZoom() || 12);
+            _render();
+            play();
+        }
+
+        // Leaves replay mode and returns to the live position
+        function stop() {
+            if (!steps.length) return;
+            pause();
+            steps = [];
+            if (layer) layer.remove();
+            layer = marker = trail = null;
+            document.getElementById('mapWrapper').classList.remove('replaying');
+            const bar = document.getElementById('minimapReplayBar');
+            if (bar) bar.classList.remove('open');
+            if (lastPosition) updateMinimap(lastPosition, true);
+        }
+
+        return {
+            start,
+            stop,
+            play,
+            pause,
+            togglePlay: function() { if (playing) pause(); else play(); },
+            // Jumps to a point of the virtual timeline (milliseconds)
+            seek: function(ms) {
+                if (!steps.length) return;
+                time = Math.min(_duration(), Math.max(0, ms));
+                _render();
+            },
+            setSpeed: function(value) { speed = value; },
+            isActive: function() { return steps.length > 0; }
+        };
+    })();
+
+    // Builds the replay toolbar: play/pause, timeline slider, speed and close
+    function createReplayBar(wrapper) {
+        const bar = document.createElement('div');
+        bar.id = 'minimapReplayBar';
+        bar.className = 'minimap-toolbar';
+        const playBtn = document.createElement('button');
+        playBtn.id = 'minimapReplayPlay';
+        playBtn.className = 'title-btn';
+        playBtn.textContent = '▶';
+        I18n.localize(playBtn, { title: 'replay.playPause', label: 'replay.playPause' });
+        playBtn.onclick = () => Replay.togglePlay();
+        bar.appendChild(playBtn);
+        const slider = document.createElement('input');
+        slider.id = 'minimapReplaySlider';
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '1';
+        slider.oninput = () => Replay.seek(Number(slider.value));
+        bar.appendChild(slider);
+        const time = document.createElement('span');
+        time.id = 'minimapReplayTime';
+        bar.appendChild(time);
+        const speed = document.createElement('select');
+        I18n.localize(speed, { title: 'replay.speed', label: 'replay.speed' });
+        [1, 2, 4, 8, 16].forEach(value => {
+            const option = document.createElement('option');
+            option.value = String(value);
+            option.textContent = `${value}×`;
+            speed.appendChild(option);
+        });
+        speed.onchange = () => Replay.setSpeed(Number(speed.value));
+        bar.appendChild(speed);
+        const close = document.createElement('button');
+        close.className = 'title-btn';
+        close.textContent = '✕';
+        I18n.localize(close, { title: 'replay.stop', label: 'replay.stop' });
+        close.onclick = () => Replay.stop();
+        bar.appendChild(close);
+        wrapper.appendChild(bar);
+    }
+
+    // Offline tile cache. Tiles are stored as blobs in IndexedDB ('tiles'), with a small
+    // metadata record per tile ('tileMeta': source, size, download time, last use) kept in
+    // memory for quota accounting. Cached tiles are served first; misses and tiles older than
+    // config.tileCacheMaxAgeDays are fetched with CORS and stored (an expired tile is still
+    // served while the network is unavailable), and the least recently used tiles are evicted
+    // above config.tileCacheMaxMb. Tiles that cannot be fetched with CORS fall back to a plain <img> request.
+    const TileCache = (function() {
+        const TILE_STORE = 'tiles';
+        const META_STORE = 'tileMeta';
+        const meta = new Map(); // url -> { url, sourceId, size, storedAt, lastUsed }
+        let totalBytes = 0;
+        let loadPromise = null;
+        let prefetchUrls = [];  // [url, sourceId] still to prefetch around the latest position
+        let prefetching = false;
+        const changeListeners = [];
+
+        function _notify() {
+            changeListeners.forEach(cb => {
+                try { cb(); } catch (e) { console.error('Error in tile cache listener:', e); }
+            });
+        }
+
+        function load() {
+            if (loadPromise) return loadPromise;
+            loadPromise = IDB.getAll(META_STORE).then(stored => {
+                stored.forEach(entry => {
+                    if (meta.has(entry.url)) return;
+                    meta.set(entry.url, entry);
+                    totalBytes += entry.size;
+                });
+            }).catch(e => console.error('Error loading tile cache index:', e));
+            return loadPromise;
+        }
+
+        function _remove(url) {
+            const entry = meta.get(url);
+            if (!entry) return;
+            meta.delete(url);
+            totalBytes -= entry.size;
+            IDB.delete(TILE_STORE, url).catch(() => {});
+            IDB.delete(META_STORE, url).catch(() => {});
+        }
+
+        // Evicts the least recently used tiles until the cache fits the quota
+        function enforceQuota() {
+            const quota = config.tileCacheMaxMb * 1024 * 1024;
+            if (totalBytes <= quota) return;
+            const oldestFirst = Array.from(meta.values()).sort((a, b) => a.lastUsed - b.lastUsed);
+            for (const entry of oldestFirst) {
+                if (totalBytes <= quota) break;
+                _remove(entry.url);
+            }
+            _notify();
+        }
+
+        async function _store(url, sourceId, blob) {
+            if (meta.has(url)) _remove(url);
+            const entry = { url, sourceId, size: blob.size, storedAt: Date.now(), lastUsed: Date.now() };
+            meta.set(url, entry);
+            totalBytes += entry.size;
+            await IDB.put(TILE_STORE, { url, blob });
+            await IDB.put(META_STORE, entry);
+            enforceQuota();
+            _notify();
+        }
+
+        // Whether a cached tile is older than config.tileCacheMaxAgeDays (tiles cached before
+        // the download time was recorded count as expired)
+        function _isExpired(entry) {
+            return config.tileCacheMaxAgeDays > 0 && Date.now() - (entry.storedAt || 0) > config.tileCacheMaxAgeDays * 86400000;
+        }
+
+        // Returns a blob for the tile, from the cache or the network (stored on the way)
+        async function _getBlob(url, sourceId) {
+            await load();
+            let stale = null;
+            if (meta.has(url)) {
+                const stored = await IDB.get(TILE_STORE, url).catch(() => null);
+                if (stored && stored.blob) {
+                    const entry = meta.get(url);
+                    entry.lastUsed = Date.now();
+                    IDB.put(META_STORE, entry).catch(() => {});
+                    if (!_isExpired(entry)) return stored.blob;
+                    stale = stored.blob;
+                } else {
+                    _remove(url); // Metadata without a tile, e.g. after a partial clear
+                }
+            }
+            try {
+                const res = await fetch(url, { mode: 'cors', credentials: 'omit' });
+                if (!res.ok) throw new Error(`Tile error: ${res.status} ${res.statusText}`);
+                const blob = await res.blob();
+                _store(url, sourceId, blob).catch(e => console.error('Error storing tile:', e));
+                return blob;
+            } catch (e) {
+                if (stale) return stale;
+                throw e;
+            }
+        }
+
+        // Resolves to the tile's blob, or to null when caching is off or fails
+        async function getTileBlob(url, sourceId) {
+            if (!config.tileCacheEnabled || config.tileCacheMaxMb <= 0) return null;
+            try {
+                return await _getBlob(url, sourceId);
+            } catch (e) {
+                return null;
+            }
+        }
+
+        // Resolves to an object URL for the tile, or to the original URL when caching is off or fails
+        async function getTileSrc(url, sourceId) {
+            const blob = await getTileBlob(url, sourceId);
+            return blob ? URL.createObjectURL(blob) : url;
+        }
+
+        // Fills an XYZ template the way Leaflet does, so prefetched tiles hit the cache later
+        function _tileUrl(source, x, y, z) {
+            const subdomains = source.subdomains || 'abc';
+            return source.url
+                .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+                .replace('{z}', z)
+                .replace('{x}', x)
+                .replace('{-y}', Math.pow(2, z) - 1 - y)
+                .replace('{y}', y)
+                .replace('{r}', '');
+        }
+
+        // Downloads the queued tiles one at a time; picks up tiles queued for a newer position on the way
+        async function _drainPrefetch() {
+            prefetching = true;
+            try {
+                await load();
+                while (prefetchUrls.length) {
+                    const [url, sourceId] = prefetchUrls.shift();
+                    const entry = meta.get(url);
+                    if (entry && !_isExpired(entry)) continue;
+                    await _getBlob(url, sourceId).catch(() => {});
+                }
+            } finally {
+                prefetching = false;
+            }
+        }
+
+        // Downloads the tiles around a point for the current zoom and config.tilePrefetchLevels
+        // levels above it (3×3 tiles per level), one at a time in the background. Off by default,
+        // since most public tile servers do not allow bulk downloads. Tiles still queued for an
+        // older position are dropped.
+        function prefetch(sources, lat, lng, zoom) {
+            if (!config.tileCacheEnabled || config.tilePrefetchLevels <= 0 || config.tileCacheMaxMb <= 0) return;
+            const latRad = lat * Math.PI / 180;
+            const urls = [];
+            sources.filter(source => source.type === 'xyz').forEach(source => {
+                const maxZoom = Math.min(source.maxZoom || 19, zoom + config.tilePrefetchLevels);
+                for (let z = Math.max(0, zoom); z <= maxZoom; z++) {
+                    const n = Math.pow(2, z);
+                    const cx = Math.floor((lng + 180) / 360 * n);
+                    const cy = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+                    for (let dx = -1; dx <= 1; dx++) {
+                        for (let dy = -1; dy <= 1; dy++) {
+                            const y = cy + dy;
+                            if (y < 0 || y >= n) continue;
+                            urls.push([_tileUrl(source, ((cx + dx) % n + n) % n, y, z), source.id]);
+                        }
+                    }
+                }
+            });
+            prefetchUrls = urls;
+            if (!prefetching) _drainPrefetch();
+        }
+
+        // Removes the cached tiles of one source, or of all sources
+        async function clear(sourceId = null) {
+            await load();
+            if (sourceId) {
+                Array.from(meta.values()).filter(e => e.sourceId === sourceId).forEach(e => _remove(e.url));
+            } else {
+                meta.clear();
+                totalBytes = 0;
+                await Promise.all([IDB.clear(TILE_STORE), IDB.clear(META_STORE)]).catch(e => console.error('Error clearing tile cache:', e));
+            }
+            _notify();
+        }
+
+        // Returns { totalBytes, tiles, sources: { [sourceId]: { tiles, bytes } } }
+        function getStats() {
+            const sources = {};
+            meta.forEach(entry => {
+                const source = sources[entry.sourceId] || (sources[entry.sourceId] = { tiles: 0, bytes: 0 });
+                source.tiles++;
+                source.bytes += entry.size;
+            });
+            return { totalBytes, tiles: meta.size, sources };
+        }
+
+        // Builds the Leaflet tile layer class for a base class (L.TileLayer or L.TileLayer.WMS)
+        // whose tiles are loaded through the cache
+        function extendLayerClass(Base) {
+            return Base.extend({
+                createTile: function(coords, done) {
+                    const tile = document.createElement('img');
+                    L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+                    L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+                    tile.alt = '';
+                    tile.setAttribute('role', 'presentation');
+                    getTileSrc(this.getTileUrl(coords), this.options.sourceId).then(src => {
+                        if (src.startsWith('blob:')) L.DomEvent.on(tile, 'load error', () => URL.revokeObjectURL(src));
+                        tile.src = src;
+                    });
+                    return tile;
+                }
+            });
+        }
+
+        return {
+            load,
+            getTileBlob,
+            getTileSrc,
+            prefetch,
+            clear,
+            enforceQuota,
+            getStats,
+            extendLayerClass,
+            onChange: function(cb) { changeListeners.push(cb); }
+        };
+    })();
+
+    // Catalogue of tile sources and the layers currently shown on the minimap.
+    // Sources are { id, name, kind: 'base'|'overlay', type: 'xyz'|'wms', url, attribution,
+    // maxZoom, subdomains, wmsLayers, builtIn }. User-added sources, the active base layer and
+    // the overlay stack (order and opacity) are persisted under og_minimap_layers.
+    const LayerManager = (function() {
+        const STORAGE_KEY = 'og_minimap_layers';
+        const BUILT_IN_SOURCES = [
+            { id: 'standard', name: 'Standard', kind: 'base', type: 'xyz', url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', maxZoom: 19, attribution: '© OpenStreetMap contributors' },
+            { id: 'satellite', name: 'Satellite', kind: 'base', type: 'xyz', url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', maxZoom: 19, attribution: '© Esri' },
+            { id: 'topographic', name: 'Topographic', kind: 'base', type: 'xyz', url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', maxZoom: 17, attribution: '© OpenTopoMap contributors' },
+            { id: 'labels', name: 'Labels', kind: 'overlay', type: 'xyz', url: 'https://{s}.basemaps.cartocdn.com/light_only_labels/{z}/{x}/{y}.png', maxZoom: 19, subdomains: 'abcd', attribution: '© CARTO' },
+            { id: 'borders', name: 'Borders & Places', kind: 'overlay', type: 'xyz', url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}', maxZoom: 19, attribution: '© Esri' }
+        ].map(source => ({ ...source, builtIn: true }));
+
+        let map = null;
+        let state = { customSources: [], activeBase: 'standard', overlays: [] }; // overlays: [{ id, opacity }], bottom to top
+        const leafletLayers = new Map(); // source id -> Leaflet layer
+        const changeListeners = [];
+        let CachedTileLayer = null; // Tile layer classes going through TileCache, built once Leaflet is loaded
+        let CachedWmsLayer = null;
+
+        // Restores the persisted state field by field. A field without the expected shape (e.g.
+        // after a manual edit) keeps its default, and invalid sources and overlays are dropped.
+        function _load() {
+            let saved = null;
+            try {
+                saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            } catch (e) {
+                console.error('Error loading layer settings from localStorage:', e);
+            }
+            if (!saved || typeof saved !== 'object') return;
+            const invalid = [];
+            if (Array.isArray(saved.customSources)) {
+                const ids = new Set(BUILT_IN_SOURCES.map(s => s.id));
+                state.customSources = saved.customSources.filter(source => {
+                    const valid = !!source && typeof source === 'object' && typeof source.id === 'string' && !ids.has(source.id) &&
+                        typeof source.name === 'string' && !validateSource(source).length;
+                    if (valid) ids.add(source.id);
+                    return valid;
+                }).map(source => ({ ...source, builtIn: false }));
+                if (state.customSources.length < saved.customSources.length) invalid.push('customSources');
+            } else if (saved.customSources !== undefined) {
+                invalid.push('customSources');
+            }
+            const base = getSource(saved.activeBase);
+            if (base && base.kind === 'base') state.activeBase = base.id;
+            else if (saved.activeBase !== undefined) invalid.push('activeBase');
+            if (Array.isArray(saved.overlays)) {
+                const ids = new Set();
+                state.overlays = saved.overlays.filter(overlay => {
+                    const source = overlay && typeof overlay === 'object' ? getSource(overlay.id) : null;
+                    const valid = !!source && source.kind === 'overlay' && !ids.has(source.id) &&
+                        typeof overlay.opacity === 'number' && overlay.opacity >= 0 && overlay.opacity <= 1;
+                    if (valid) ids.add(source.id);
+                    return valid;
+                }).map(overlay => ({ id: overlay.id, opacity: overlay.opacity }));
+                if (state.overlays.length < saved.overlays.length) invalid.push('overlays');
+            } else if (saved.overlays !== undefined) {
+                invalid.push('overlays');
+            }
+            if (invalid.length) console.warn(`OpenGuessr Helper: Ignored invalid stored layer settings (${invalid.join(', ')})`);
+        }
+
+        function _save() {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        }
+
+        function _notify() {
+            changeListeners.forEach(cb => {
+                try { cb(); } catch (e) { console.error('Error in layer listener:', e); }
+            });
+        }
+
+        function getSources() {
+            return BUILT_IN_SOURCES.concat(state.customSources);
+        }
+
+        function getSource(id) {
+            return getSources().find(s => s.id === id) || null;
+        }
+
+        // Creates the Leaflet layer for a source
+        function _createLeafletLayer(source) {
+            if (!CachedTileLayer) {
+                CachedTileLayer = TileCache.extendLayerClass(L.TileLayer);
+                CachedWmsLayer = TileCache.extendLayerClass(L.TileLayer.WMS);
+            }
+            const options = { maxZoom: source.maxZoom || 19, attribution: source.attribution || '', noWrap: false, sourceId: source.id };
+            if (source.subdomains) options.subdomains = source.subdomains;
+            if (source.type === 'wms') {
+                return new CachedWmsLayer(source.url, { ...options, layers: source.wmsLayers || '', format: 'image/png', transparent: source.kind === 'overlay' });
+            }
+            return new CachedTileLayer(source.url, options);
+        }
+
+        function _layerFor(source) {
+            if (!leafletLayers.has(source.id)) leafletLayers.set(source.id, _createLeafletLayer(source));
+            return leafletLayers.get(source.id);
+        }
+
+        // Puts the map layers in line with the current state
+        function _apply() {
+            if (!map) return;
+            const base = getSource(state.activeBase) || BUILT_IN_SOURCES[0];
+            state.overlays = state.overlays.filter(o => getSource(o.id));
+            const wanted = new Set([base.id].concat(state.overlays.map(o => o.id)));
+            leafletLayers.forEach((layer, id) => {
+                if (!wanted.has(id) && map.hasLayer(layer)) map.removeLayer(layer);
+            });
+            const baseLayer = _layerFor(base);
+            if (!map.hasLayer(baseLayer)) baseLayer.addTo(map);
+            baseLayer.setZIndex(0);
+            state.overlays.forEach((overlay, i) => {
+                const layer = _layerFor(getSource(overlay.id));
+                if (!map.hasLayer(layer)) layer.addTo(map);
+                layer.setOpacity(overlay.opacity);
+                layer.setZIndex(i + 1);
+            });
+        }
+
+        function _update() {
+            _save();
+            _apply();
+            _notify();
+        }
+
+        // Attaches the manager to a Leaflet map and restores the persisted layers
+        function attach(leafletMap) {
+            map = leafletMap;
+            leafletLayers.clear();
+            _apply();
+        }
+
+        function setBase(id) {
+            const source = getSource(id);
+            if (!source || source.kind !== 'base') return;
+            state.activeBase = id;
+            _update();
+        }
+
+        // Switches to the next (or previous) base layer
+        function cycleBase(step = 1) {
+            const bases = getSources().filter(s => s.kind === 'base');
+            const index = bases.findIndex(s => s.id === state.activeBase);
+            setBase(bases[(index + step + bases.length) % bases.length].id);
+        }
+
+        function setOverlayEnabled(id, enabled) {
+            const source = getSource(id);
+            if (!source || source.kind !== 'overlay') return;
+            const present = state.overlays.some(o => o.id === id);
+            if (enabled && !present) state.overlays.push({ id, opacity: 1 });
+            if (!enabled && present) state.overlays = state.overlays.filter(o => o.id !== id);
+            _update();
+        }
+
+        function setOverlayOpacity(id, opacity) {
+            const overlay = state.overlays.find(o => o.id === id);
+            if (!overlay) return;
+            overlay.opacity = Math.min(1, Math.max(0, opacity));
+            _save();
+            _apply();
+        }
+
+        // Moves an overlay up (+1) or down (-1) in the stack
+        function moveOverlay(id, step) {
+            const index = state.overlays.findIndex(o => o.id === id);
+            const target = index + step;
+            if (index < 0 || target < 0 || target >= state.overlays.length) return;
+            const [overlay] = state.overlays.splice(index, 1);
+            state.overlays.splice(target, 0, overlay);
+            _update();
+        }
+
+        // Checks a user-supplied source definition and returns a list of problems
+        function validateSource(source) {
+            const errors = [];
+            if (!source.name || !source.name.trim()) errors.push(t('layers.error.name'));
+            if (!['base', 'overlay'].includes(source.kind)) errors.push(t('layers.error.kind'));
+            if (!['xyz', 'wms'].includes(source.type)) errors.push(t('layers.error.type'));
+            if (!/^https?:\/\//.test(source.url || '')) errors.push(t('layers.error.url'));
+            else if (source.type === 'xyz' && !(/\{z\}/.test(source.url) && /\{x\}/.test(source.url) && /\{-?y\}/.test(source.url))) {
+                errors.push(t('layers.error.xyzUrl'));
+            }
+            if (source.type === 'wms' && !source.wmsLayers) errors.push(t('layers.error.wmsLayers'));
+            if (!Number.isInteger(source.maxZoom) || source.maxZoom < 1 || source.maxZoom > 24) errors.push(t('layers.error.maxZoom'));
+            return errors;
+        }
+
+        // Adds a user-defined source; returns the list of validation errors (empty on success)
+        function addSource(source) {
+            const errors = validateSource(source);
+            if (errors.length) return errors;
+            state.customSources.push({ ...source, id: `custom-${Date.now().toString(36)}`, name: source.name.trim(), builtIn: false });
+            _update();
+            return [];
+        }
+
+        function removeSource(id) {
+            const source = getSource(id);
+            if (!source || source.builtIn) return;
+            state.customSources = state.customSources.filter(s => s.id !== id);
+            state.overlays = state.overlays.filter(o => o.id !== id);
+            if (state.activeBase === id) state.activeBase = 'standard';
+            const layer = leafletLayers.get(id);
+            if (layer && map && map.hasLayer(layer)) map.removeLayer(layer);
+            leafletLayers.delete(id);
+            TileCache.clear(id);
+            _update();
+        }
+
+        _load();
+
+        return {
+            attach,
+            getSources,
+            getSource,
+            setBase,
+            cycleBase,
+            setOverlayEnabled,
+            setOverlayOpacity,
+            moveOverlay,
+            addSource,
+            removeSource,
+            validateSource,
+            getActiveBase: function() { return state.activeBase; },
+            // Returns the sources currently shown: the base layer, then the overlays
+            getVisibleSources: function() {
+                return [state.activeBase].concat(state.overlays.map(o => o.id)).map(getSource).filter(Boolean);
+            },
+            // Returns the overlay stack, bottom to top
+            getOverlays: function() { return state.overlays.map(o => ({ ...o })); },
+            onChange: function(cb) { changeListeners.push(cb); }
+        };
+    })();
+
+    // Renders one button per base layer in #minimapLayerControl, plus the layer manager toggle
+    function renderLayerButtons() {
+        const layerControl = document.getElementById('minimapLayerControl');
+        if (!layerControl) return;
+        layerControl.replaceChildren();
+        LayerManager.getSources().filter(s => s.kind === 'base').forEach(source => {
+            const btn = document.createElement('button');
+            btn.textContent = sourceName(source);
+            btn.className = 'layer-btn';
+            if (source.id === LayerManager.getActiveBase()) {
+                btn.classList.add('active');
+            }
+            btn.setAttribute('aria-pressed', String(source.id === LayerManager.getActiveBase()));
+            btn.onclick = () => LayerManager.setBase(source.id);
+            layerControl.appendChild(btn);
+        });
+        const manageBtn = document.createElement('button');
+        manageBtn.textContent = '☰';
+        I18n.localize(manageBtn, { title: 'layers.manage', label: 'layers.manage' });
+        manageBtn.className = 'layer-btn';
+        manageBtn.onclick = toggleLayerPanel;
+        layerControl.appendChild(manageBtn);
+    }
+
+    // Fills the layer manager panel: overlays with opacity and order, custom sources, add form
+    function renderLayerPanel() {
+        const body = createMinimapPanel('minimapLayerPanel', 'panel.layers');
+        if (!body) return;
+        body.replaceChildren();
+
+        const overlayHeading = document.createElement('div');
+        overlayHeading.className = 'panel-section-title';
+        overlayHeading.textContent = t('layers.overlays');
+        body.appendChild(overlayHeading);
+        const active = LayerManager.getOverlays();
+        const overlaySources = LayerManager.getSources().filter(s => s.kind === 'overlay');
+        // Active overlays first in stacking order (topmost first), then inactive ones
+        const ordered = active.slice().reverse().map(o => LayerManager.getSource(o.id))
+            .concat(overlaySources.filter(s => !active.some(o => o.id === s.id)));
+        ordered.forEach(source => {
+            const overlay = active.find(o => o.id === source.id);
+            const row = document.createElement('div');
+            row.className = 'panel-row';
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(overlay);
+            checkbox.onchange = () => LayerManager.setOverlayEnabled(source.id, checkbox.checked);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${sourceName(source)}`));
+            row.appendChild(label);
+            if (overlay) {
+                const opacity = document.createElement('input');
+                opacity.type = 'range';
+                opacity.min = '0';
+                opacity.max = '100';
+                opacity.value = String(Math.round(overlay.opacity * 100));
+                I18n.localize(opacity, { title: 'layers.opacity', label: 'layers.opacity' });
+                opacity.oninput = () => {
+                    LayerManager.setOverlayOpacity(source.id, Number(opacity.value) / 100);
+                    PopOut.sendLayers();
+                };
+                row.appendChild(opacity);
+                [['▲', 1, 'layers.moveUp'], ['▼', -1, 'layers.moveDown']].forEach(([icon, step, title]) => {
+                    const btn = document.createElement('button');
+                    btn.className = 'title-btn';
+                    btn.textContent = icon;
+                    I18n.localize(btn, { title, label: title });
+                    btn.onclick = () => LayerManager.moveOverlay(source.id, step);
+                    row.appendChild(btn);
+                });
+            }
+            body.appendChild(row);
+        });
+
+        const custom = LayerManager.getSources().filter(s => !s.builtIn);
+        if (custom.length) {
+            const customHeading = document.createElement('div');
+            customHeading.className = 'panel-section-title';
+            customHeading.textContent = t('layers.custom');
+            body.appendChild(customHeading);
+            custom.forEach(source => {
+                const row = document.createElement('div');
+                row.className = 'panel-row';
+                const label = document.createElement('span');
+                label.textContent = t('layers.customSource', { name: source.name, type: source.type.toUpperCase(), kind: t(`layers.kind.${source.kind}`) });
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'title-btn';
+                removeBtn.textContent = '🗑';
+                I18n.localize(removeBtn, { title: 'layers.remove', label: 'layers.remove' });
+                removeBtn.onclick = () => LayerManager.removeSource(source.id);
+                row.appendChild(label);
+                row.appendChild(removeBtn);
+                body.appendChild(row);
+            });
+        }
+
+        const tileCacheSection = document.createElement('div');
+        tileCacheSection.id = 'minimapTileCacheSection';
+        body.appendChild(tileCacheSection);
+        renderTileCacheSection();
+        TileCache.load().then(() => renderTileCacheSection());
+
+        body.appendChild(buildAddSourceForm());
+    }
+
+    // Formats a byte count for display
+    function formatBytes(bytes) {
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // Fills the tile cache section of the layer panel with per-source usage and clear buttons
+    function renderTileCacheSection() {
+        const section = document.getElementById('minimapTileCacheSection');
+        if (!section) return;
+        section.replaceChildren();
+        const heading = document.createElement('div');
+        heading.className = 'panel-section-title';
+        heading.textContent = t('tileCache.title');
+        section.appendChild(heading);
+        const stats = TileCache.getStats();
+        const summary = document.createElement('div');
+        summary.className = 'panel-row';
+        const text = document.createElement('span');
+        text.textContent = config.tileCacheEnabled
+            ? t('tileCache.summary', { tiles: stats.tiles, size: formatBytes(stats.totalBytes), max: config.tileCacheMaxMb })
+            : t('tileCache.disabled');
+        summary.appendChild(text);
+        const clearAll = document.createElement('button');
+        clearAll.className = 'layer-btn';
+        clearAll.textContent = t('tileCache.clearAll');
+        clearAll.disabled = !stats.tiles;
+        clearAll.onclick = () => TileCache.clear();
+        summary.appendChild(clearAll);
+        section.appendChild(summary);
+        Object.entries(stats.sources).forEach(([sourceId, usage]) => {
+            const source = LayerManager.getSource(sourceId);
+            const row = document.createElement('div');
+            row.className = 'panel-row';
+            const label = document.createElement('span');
+            label.textContent = t('tileCache.source', { name: source ? sourceName(source) : sourceId, tiles: usage.tiles, size: formatBytes(usage.bytes) });
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'title-btn';
+            clearBtn.textContent = '🗑';
+            I18n.localize(clearBtn, { title: 'tileCache.clearSource', label: 'tileCache.clearSource' });
+            clearBtn.onclick = () => TileCache.clear(sourceId);
+            row.appendChild(label);
+            row.appendChild(clearBtn);
+            section.appendChild(row);
+        });
+    }
+
+    TileCache.onChange(() => renderTileCacheSection());
+
+    // Builds the form used to add XYZ and WMS sources to the catalogue
+    function buildAddSourceForm() {
+        const form = document.createElement('form');
+        form.className = 'panel-form';
+        const heading = document.createElement('div');
+        heading.className = 'panel-section-title';
+        heading.textContent = t('layers.add');
+        form.appendChild(heading);
+        const field = (name, labelText, input) => {
+            input.name = name;
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            label.appendChild(input);
+            form.appendChild(label);
+            return input;
+        };
+        const select = options => {
+            const el = document.createElement('select');
+            options.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                el.appendChild(option);
+            });
+            return el;
+        };
+        const text = (placeholder, value = '') => {
+            const el = document.createElement('input');
+            el.type = 'text';
+            el.placeholder = placeholder;
+            el.value = value;
+            return el;
+        };
+        field('name', t('layers.field.name'), text(t('layers.placeholderName')));
+        const type = field('type', t('layers.field.type'), select([['xyz', 'XYZ'], ['wms', 'WMS']]));
+        field('kind', t('layers.field.kind'), select([['base', t('layers.kind.base')], ['overlay', t('layers.kind.overlay')]]));
+        field('url', t('layers.field.url'), text('https://{s}.example.com/{z}/{x}/{y}.png'));
+        field('attribution', t('layers.field.attribution'), text('© Provider'));
+        field('maxZoom', t('layers.field.maxZoom'), text('19', '19'));
+        field('subdomains', t('layers.field.subdomains'), text('abc'));
+        const wmsLayers = field('wmsLayers', t('layers.field.wmsLayers'), text('layer1,layer2'));
+        wmsLayers.parentElement.style.display = 'none';
+        type.onchange = () => { wmsLayers.parentElement.style.display = type.value === 'wms' ? '' : 'none'; };
+        const errors = document.createElement('div');
+        errors.className = 'panel-status';
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.className = 'layer-btn';
+        submit.textContent = t('layers.addButton');
+        form.appendChild(submit);
+        form.appendChild(errors);
+        form.onsubmit = e => {
+            e.preventDefault();
+            const values = Object.fromEntries(new FormData(form).entries());
+            const problems = LayerManager.addSource({
+                name: values.name,
+                type: values.type,
+                kind: values.kind,
+                url: values.url.trim(),
+                attribution: values.attribution,
+                maxZoom: Number(values.maxZoom),
+                subdomains: values.subdomains.trim() || undefined,
+                wmsLayers: values.type === 'wms' ? values.wmsLayers.trim() : undefined
+            });
+            errors.textContent = problems.join('. ');
+        };
+        return form;
+    }
+
+    // Filter, sorting and overlay state of the statistics panel
+    const statsView = { from: '', to: '', sortKey: 'count', sortDir: -1, choropleth: false };
+    let choroplethLayer = null;
+
+    // Returns the statistics entries matching the date range of the statistics panel
+    function filteredStatsEntries() {
+        const from = statsView.from ? new Date(`${statsView.from}T00:00:00`).getTime() : null;
+        const to = statsView.to ? new Date(`${statsView.to}T23:59:59.999`).getTime() : null;
+        return PlaceStats.getEntries(from, to);
+    }
+
+    // Builds a sortable table; columns: [{ key, label, format }]
+    function buildStatsTable(columns, rows) {
+        const table = document.createElement('table');
+        table.className = 'stats-table';
+        const headRow = table.createTHead().insertRow();
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label + (statsView.sortKey === column.key ? (statsView.sortDir > 0 ? ' ▲' : ' ▼') : '');
+            I18n.localize(th, { title: 'stats.sort' });
+            th.tabIndex = 0;
+            if (statsView.sortKey === column.key) th.setAttribute('aria-sort', statsView.sortDir > 0 ? 'ascending' : 'descending');
+            onActivateKey(th, () => th.click());
+            th.onclick = () => {
+                if (statsView.sortKey === column.key) statsView.sortDir = -statsView.sortDir;
+                else {
+                    statsView.sortKey = column.key;
+                    statsView.sortDir = column.key === 'count' ? -1 : 1;
+                }
+                renderStatsPanel();
+            };
+            headRow.appendChild(th);
+        });
+        const key = columns.some(c => c.key === statsView.sortKey) ? statsView.sortKey : 'count';
+        const sorted = rows.slice().sort((a, b) => {
+            const order = key === 'count' ? a.count - b.count : String(a[key]).localeCompare(String(b[key]));
+            return order * statsView.sortDir || b.count - a.count;
+        });
+        const body = table.createTBody();
+        sorted.forEach(row => {
+            const tr = body.insertRow();
+            columns.forEach(column => { tr.insertCell().textContent = column.format ? column.format(row) : row[column.key]; });
+        });
+        return table;
+    }
+
+    // Fills the statistics panel with the filter controls and the country/region tables
+    function renderStatsPanel() {
+        const body = createMinimapPanel('minimapStatsPanel', 'panel.statistics');
+        if (!body) return;
+        body.replaceChildren();
+
+        const filter = document.createElement('div');
+        filter.className = 'panel-row';
+        [['from', t('stats.from')], ['to', t('stats.to')]].forEach(([key, text]) => {
+            const label = document.createElement('label');
+            label.textContent = `${text} `;
+            const input = document.createElement('input');
+            input.type = 'date';
+            input.value = statsView[key];
+            input.onchange = () => {
+                statsView[key] = input.value;
+                renderStatsPanel();
+                renderChoropleth();
+            };
+            label.appendChild(input);
+            filter.appendChild(label);
+        });
+        body.appendChild(filter);
+
+        const options = document.createElement('div');
+        options.className = 'panel-row';
+        const mapLabel = document.createElement('label');
+        const mapToggle = document.createElement('input');
+        mapToggle.type = 'checkbox';
+        mapToggle.checked = statsView.choropleth;
+        mapToggle.onchange = () => {
+            statsView.choropleth = mapToggle.checked;
+            renderChoropleth();
+        };
+        mapLabel.appendChild(mapToggle);
+        mapLabel.appendChild(document.createTextNode(` ${t('stats.shade')}`));
+        options.appendChild(mapLabel);
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'layer-btn';
+        resetBtn.textContent = t('stats.reset');
+        resetBtn.onclick = () => {
+            if (confirm(t('stats.resetConfirm'))) PlaceStats.reset();
+        };
+        options.appendChild(resetBtn);
+        body.appendChild(options);
+
+        const stats = PlaceStats.aggregate(filteredStatsEntries());
+        if (!stats.total) {
+            const empty = document.createElement('div');
+            empty.className = 'minimap-panel-empty';
+            empty.textContent = t('stats.empty');
+            body.appendChild(empty);
+            return;
+        }
+        const summary = document.createElement('div');
+        summary.className = 'panel-status';
+        summary.textContent = t('stats.summary', { rounds: stats.total, countries: stats.countries.length });
+        body.appendChild(summary);
+
+        const countriesTitle = document.createElement('div');
+        countriesTitle.className = 'panel-section-title';
+        countriesTitle.textContent = t('stats.countries');
+        body.appendChild(countriesTitle);
+        const countryColumn = { key: 'name', label: t('stats.country'), format: c => `${countryFlag(c.countryCode)} ${c.name}`.trim() };
+        body.appendChild(buildStatsTable([countryColumn, { key: 'count', label: t('stats.rounds') }], stats.countries));
+
+        if (stats.regions.length) {
+            const regionsTitle = document.createElement('div');
+            regionsTitle.className = 'panel-section-title';
+            regionsTitle.textContent = t('stats.regions');
+            body.appendChild(regionsTitle);
+            body.appendChild(buildStatsTable([{ key: 'name', label: t('stats.region') }, { key: 'country', label: t('stats.country') }, { key: 'count', label: t('stats.rounds') }], stats.regions));
+        }
+    }
+
+    // Draws (or removes) the country choropleth. Rounds are matched to the offline country
+    // polygons by their coordinates, so localised geocoder country names do not matter.
+    async function renderChoropleth() {
+        if (choroplethLayer) {
+            choroplethLayer.remove();
+            choroplethLayer = null;
+        }
+        if (!statsView.choropleth || !minimapInstance) return;
+        const layer = L.layerGroup();
+        choroplethLayer = layer;
+        let countries;
+        try {
+            countries = await OfflineGeocoder.getCountries();
+        } catch (e) {
+            console.error('OpenGuessr Helper: Could not load country boundaries for the choropleth:', e);
+            showToast(t('toast.boundariesFailed'));
+            return;
+        }
+        if (choroplethLayer !== layer) return; // Superseded while loading
+        const counts = new Map();
+        filteredStatsEntries().forEach(entry => {
+            const country = OfflineGeocoder.findCountry(entry.lat, entry.lng);
+            if (country) counts.set(country, (counts.get(country) || 0) + 1);
+        });
+        const max = Math.max(1, ...counts.values());
+        counts.forEach((count, country) => {
+            const latLngs = country.polygons.map(polygon => polygon.map(ring => ring.map(([lng, lat]) => [lat, lng])));
+            L.polygon(latLngs, { color: '#c0392b', weight: 1, fillColor: '#e74c3c', fillOpacity: 0.15 + 0.6 * count / max })
+                .bindTooltip(`${country.name}: ${count}`, { sticky: true })
+                .addTo(layer);
+        });
+        layer.addTo(minimapInstance);
+    }
+
+    // Opens or closes the statistics panel
+    function toggleStatsPanel() {
+        renderStatsPanel();
+        toggleMinimapPanel('minimapStatsPanel');
+    }
+
+    PlaceStats.onChange(() => {
+        const panel = document.getElementById('minimapStatsPanel');
+        if (panel && panel.classList.contains('open')) renderStatsPanel();
+        if (statsView.choropleth) renderChoropleth();
+    });
+
+    // Opens or closes the layer manager panel
+    function toggleLayerPanel() {
+        renderLayerPanel();
+        toggleMinimapPanel('minimapLayerPanel');
+    }
+
+    LayerManager.onChange(() => {
+        renderLayerButtons();
+        PopOut.sendLayers();
+        const panel = document.getElementById('minimapLayerPanel');
+        if (panel && panel.classList.contains('open')) renderLayerPanel();
+    });
+
+    // Triggers a browser download of the given text
+    function downloadText(text, fileName, mime) {
+        const blob = new Blob([text], { type: mime });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Exports all recorded rounds in the given format
+    async function exportRounds(format) {
+        await HistoryRecorder.load();
+        const rounds = HistoryRecorder.getRounds();
+        const { extension, mime } = LocationFormats.formats[format];
+        const date = new Date().toISOString().slice(0, 10);
+        downloadText(LocationFormats.serialize(format, rounds), `openguessr-rounds-${date}.${extension}`, mime);
+    }
+
+    // Draws imported tracks as an overlay on the minimap and fits the view to them
+    function showImportedTracks(tracks) {
+        if (!minimapInstance) return;
+        if (!importOverlayLayer) importOverlayLayer = L.layerGroup().addTo(minimapInstance);
+        const bounds = [];
+        tracks.forEach(track => {
+            const latLngs = track.points.map(p => [p.lat, p.lng]);
+            bounds.push(...latLngs);
+            if (latLngs.length > 1) {
+                L.polyline(latLngs, { color: '#e67e22', weight: 3, opacity: 0.8 }).addTo(importOverlayLayer);
+            }
+            track.points.forEach(p => {
+                const popup = document.createElement('div');
+                popup.textContent = [p.placeName || track.name, p.timestamp ? formatTimestamp(p.timestamp) : ''].filter(Boolean).join(' · ');
+                L.circleMarker([p.lat, p.lng], { radius: 4, color: '#e67e22', fillOpacity: 0.8 }).bindPopup(popup).addTo(importOverlayLayer);
+            });
+        });
+        if (bounds.length) minimapInstance.fitBounds(bounds, { padding: [20, 20], maxZoom: 14 });
+    }
+
+    // Removes all imported overlays from the minimap
+    function clearImportedTracks() {
+        if (importOverlayLayer) importOverlayLayer.clearLayers();
+    }
+
+    // Reads a user-selected file and shows its tracks on the minimap
+    async function importTracksFile(file, statusEl) {
+        try {
+            const text = await file.text();
+            const format = LocationFormats.detectFormat(file.name, text);
+            const tracks = LocationFormats.parse(format, text);
+            showImportedTracks(tracks);
+            const count = tracks.reduce((sum, t) => sum + t.points.length, 0);
+            statusEl.textContent = t('export.imported', { tracks: tracks.length, points: count, format: LocationFormats.formats[format].label });
+        } catch (e) {
+            console.error('Error importing tracks:', e);
+            statusEl.textContent = t('export.importFailed', { error: e.message });
+        }
+    }
+
+    // Builds the export/import panel
+    function renderExportPanel() {
+        const body = createMinimapPanel('minimapExportPanel', 'panel.export');
+        if (!body || body.childElementCount) return;
+
+        const exportHeading = document.createElement('div');
+        exportHeading.className = 'panel-section-title';
+        I18n.localize(exportHeading, { text: 'export.title' });
+        body.appendChild(exportHeading);
+        const exportRow = document.createElement('div');
+        exportRow.className = 'panel-row';
+        Object.entries(LocationFormats.formats).forEach(([format, { label }]) => {
+            const btn = document.createElement('button');
+            btn.className = 'layer-btn';
+            btn.textContent = label;
+            btn.onclick = () => exportRounds(format);
+            exportRow.appendChild(btn);
+        });
+        body.appendChild(exportRow);
+
+        const importHeading = document.createElement('div');
+        importHeading.className = 'panel-section-title';
+        I18n.localize(importHeading, { text: 'export.import' });
+        body.appendChild(importHeading);
+        const importRow = document.createElement('div');
+        importRow.className = 'panel-row';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.geojson,.json,.gpx,.kml,.csv';
+        const status = document.createElement('div');
+        status.className = 'panel-status';
+        fileInput.onchange = () => {
+            if (fileInput.files[0]) importTracksFile(fileInput.files[0], status);
+            fileInput.value = '';
+        };
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'layer-btn';
+        I18n.localize(clearBtn, { text: 'export.clear' });
+        clearBtn.onclick = () => {
+            clearImportedTracks();
+            status.textContent = '';
+        };
+        importRow.appendChild(fileInput);
+        importRow.appendChild(clearBtn);
+        body.appendChild(importRow);
+        body.appendChild(status);
+    }
+
+    // Opens or closes the export/import panel
+    function toggleExportPanel() {
+        renderExportPanel();
+        toggleMinimapPanel('minimapExportPanel');
+    }
+
+    // Builds the settings panel from SETTINGS_SCHEMA, grouped by section
+    function renderSettingsPanel() {
+        const body = createMinimapPanel('minimapSettingsPanel', 'panel.settings');
+        if (!body) return;
+        body.replaceChildren();
+        const form = document.createElement('form');
+        form.className = 'panel-form';
+        const inputs = {};
+        let group = null;
+        Settings.getSchema().forEach(field => {
+            if (field.group !== group) {
+                group = field.group;
+                const heading = document.createElement('div');
+                heading.className = 'panel-section-title';
+                heading.textContent = t(`settingGroup.${group}`);
+                form.appendChild(heading);
+            }
+            let input;
+            if (field.type === 'boolean') {
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = config[field.key];
+            } else if (field.type === 'enum') {
+                input = document.createElement('select');
+                field.options.forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = t(`option.${value}`);
+                    input.appendChild(option);
+                });
+                input.value = config[field.key];
+            } else if (field.type === 'json') {
+                input = document.createElement('textarea');
+                input.rows = 4;
+                input.value = JSON.stringify(config[field.key], null, 1);
+            } else {
+                input = document.createElement('input');
+                input.type = 'text';
+                input.value = field.type === 'list' ? config[field.key].join(', ') : String(config[field.key]);
+            }
+            const label = document.createElement('label');
+            label.textContent = settingLabel(field);
+            label.appendChild(input);
+            form.appendChild(label);
+            inputs[field.key] = input;
+        });
+
+        const status = document.createElement('div');
+        status.className = 'panel-status';
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-row';
+        const button = (text, onClick, type = 'button') => {
+            const btn = document.createElement('button');
+            btn.type = type;
+            btn.className = 'layer-btn';
+            btn.textContent = text;
+            if (onClick) btn.onclick = onClick;
+            buttons.appendChild(btn);
+            return btn;
+        };
+        button(t('settings.save'), null, 'submit');
+        button(t('settings.reset'), () => {
+            Settings.reset();
+            renderSettingsPanel();
+        });
+        button(t('settings.export'), () => downloadText(Settings.exportJson(), 'openguessr-helper-settings.json', 'application/json'));
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const errors = Settings.importJson(await file.text());
+                if (errors.length) {
+                    status.textContent = errors.join('. ');
+                } else {
+                    renderSettingsPanel();
+                }
+            } catch (e) {
+                console.error('OpenGuessr Helper: Settings import failed:', e);
+                status.textContent = t('settings.readError', { error: e.message });
+            }
+        };
+        button(t('settings.import'), () => fileInput.click());
+        buttons.appendChild(fileInput);
+
+        form.onsubmit = e => {
+            e.preventDefault();
+            const values = {};
+            Settings.getSchema().forEach(field => {
+                const input = inputs[field.key];
+                values[field.key] = field.type === 'boolean' ? input.checked : input.value;
+            });
+            const errors = Settings.set(values);
+            status.textContent = errors.length ? errors.join('. ') : t('settings.saved');
+        };
+        form.appendChild(buttons);
+        form.appendChild(status);
+        body.appendChild(form);
+    }
+
+    // Opens or closes the settings panel
+    function toggleSettingsPanel() {
+        renderSettingsPanel();
+        toggleMinimapPanel('minimapSettingsPanel');
+    }
+
+    // Applies setting changes that need more than reading the new value next time
+    Settings.onChange(changed => {
+        if (changed.includes('positionPollingFallback') || changed.includes('positionPollIntervalMs')) {
+            PositionWatcher.refreshPolling();
+        }
+        if (changed.includes('tileCacheMaxMb')) {
+            TileCache.load().then(() => TileCache.enforceQuota());
+        }
+        if (changed.includes('historyMaxRounds')) {
+            HistoryRecorder.load().then(() => HistoryRecorder.trim());
+        }
+        if (changed.includes('offlineCountriesUrl') || changed.includes('offlineRegionsUrl')) {
+            OfflineGeocoder.reset(); // The new datasets are downloaded on their next use
+        }
+        if (changed.some(key => SETTINGS_SCHEMA.find(field => field.key === key).group === 'Appearance')) {
+            applyTheme();
+        }
+        if (changed.includes('distanceUnit')) {
+            const unitSelect = document.getElementById('minimapMeasureUnit');
+            if (unitSelect) unitSelect.value = config.distanceUnit;
+            renderTrail();
+            MeasureTool.refresh();
+        }
+        if (changed.includes('compactFields') && lastPlaceDetails) {
+            renderPlaceLine(formatPlaceName(lastPlaceDetails, lastPlaceDisplayName));
+        }
+        if (changed.includes('uiLanguage')) {
+            I18n.refresh();
+            const infoPanel = document.getElementById('minimapInfo');
+            const status = infoPanel && ['connected', 'disconnected', 'error'].find(state => infoPanel.classList.contains(state));
+            if (status) setConnectionStatus(status);
+            updateCacheStatsDisplay();
+            renderLayerButtons();
+            renderTrail();
+            MeasureTool.refresh();
+            // Panels are built when opened, so only the open ones have to be rebuilt
+            const isOpen = id => {
+                const panel = document.getElementById(id);
+                return panel && panel.classList.contains('open');
+            };
+            if (isOpen('minimapHistoryPanel')) renderHistoryPanel();
+            if (isOpen('minimapStatsPanel')) renderStatsPanel();
+            if (isOpen('minimapLayerPanel')) renderLayerPanel();
+            if (isOpen('minimapSettingsPanel')) renderSettingsPanel();
+            if (isOpen('minimapCoordinatesPanel')) updateCoordinatesPanel(lastPosition);
+            if (isOpen('minimapPlaceDetails')) renderPlaceDetails();
+            if (document.getElementById('minimapShortcutOverlay')) toggleShortcutCheatSheet(true);
+        }
+        // Names in another language are looked up (or taken from the cache) again for the current position
+        const placeLanguageChanged = changed.includes('placeNameLanguage') || changed.includes('geocoderLanguage')
+            || (changed.includes('uiLanguage') && config.placeNameLanguage === 'interface');
+        if (placeLanguageChanged && lastPosition) {
+            lastValidPlaceName = null;
+            updateInfoPanel(lastPosition);
+        } else if (changed.includes('uiLanguage') && lastPlaceDisplayName) {
+            renderPlaceLine(lastPlaceDetails ? formatPlaceName(lastPlaceDetails, lastPlaceDisplayName) : lastPlaceDisplayName);
+        }
+    });
+
+    // Shows a short message in a toast next to the minimap button
+    function showToast(message) {
+        let toast = document.getElementById('minimapToast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'minimapToast';
+            toast.setAttribute('role', 'status');
+            toast.setAttribute('aria-live', 'polite');
+            document.body.appendChild(toast);
+            applyTheme();
+        }
+        toast.textContent = message;
+        toast.style.left = `${layout.button.left + LOCATION_BUTTON_SIZE + 10}px`;
+        toast.style.top = `${layout.button.top + 12}px`;
+        toast.classList.add('visible');
+        clearTimeout(toastTimeout);
+        toastTimeout = setTimeout(() => toast.classList.remove('visible'), 1800);
+    }
+
+    // Copies text to the clipboard and confirms it with a toast
+    async function copyToClipboard(text, label = t('clipboard.copied')) {
+        try {
+            await navigator.clipboard.writeText(text);
+            showToast(t('toast.copied', { label, text }));
+        } catch (e) {
+            console.error('Error copying to clipboard:', e);
+            showToast(t('toast.clipboardFailed'));
+        }
     }
 
-    // Applies the theme (light/dark) based on the user's system preferences
-    function applyTheme() {
-        const useDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-        document.body.setAttribute('data-theme', useDark ? 'dark' : 'light');
+    // Shows the minimap if it is hidden
+    function showMinimap() {
+        const map = document.getElementById('mapWrapper');
+        if (map && !map.classList.contains('visible')) toggleMinimap();
     }
 
-    // Dynamically loads the Leaflet.js library and its CSS
-    // Calls a callback function once Leaflet is loaded and ready
-    async function loadLeaflet(callback) {
-        if (window.L) {
-            callback();
-            return;
-        }
-        const link = document.createElement('link');
-        link.rel = 'stylesheet';
-        link.href = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
-        document.head.appendChild(link);
-        const script = document.createElement('script');
-        script.src = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js';
-        script.onload = callback;
-        document.head.appendChild(script);
+    // Centers the minimap on the current marker
+    function recenterMinimap() {
+        if (!minimapInstance || !lastPosition) return;
+        userInteracting = false;
+        minimapInstance.setView([lastPosition.lat, lastPosition.lng], minimapInstance.getZoom() || 12);
     }
 
-    // Module to get the current geographical position from the game's iframe
-    const PositionModule = (function() {
-        let lastPos = null; // Stores the last retrieved position within this module
+    // Actions that can be bound to keyboard shortcuts, in cheat-sheet order
+    const SHORTCUT_ACTIONS = {
+        toggleMinimap: { defaultKey: 'Alt+KeyM', run: () => toggleMinimap() },
+        recenter: { defaultKey: 'Alt+KeyC', run: () => { showMinimap(); recenterMinimap(); } },
+        cycleLayers: { defaultKey: 'Alt+KeyL', run: () => LayerManager.cycleBase(1) },
+        zoomIn: { defaultKey: 'Alt+Equal', run: () => minimapInstance && minimapInstance.zoomIn() },
+        zoomOut: { defaultKey: 'Alt+Minus', run: () => minimapInstance && minimapInstance.zoomOut() },
+        copyCoordinates: {
+            defaultKey: 'Alt+KeyK',
+            run: () => lastPosition && copyToClipboard(`${lastPosition.lat.toFixed(6)}, ${lastPosition.lng.toFixed(6)}`, t('clipboard.coordinatesCopied'))
+        },
+        returnToStart: { defaultKey: 'Alt+KeyS', run: () => { showMinimap(); returnToStart(); } },
+        openHistory: { defaultKey: 'Alt+KeyH', run: () => { showMinimap(); toggleHistoryPanel(); } },
+        cheatSheet: { defaultKey: 'Alt+Slash', run: () => toggleShortcutCheatSheet() }
+    };
 
-        // Extracts latitude and longitude from the PanoramaIframe's URL
-        function _getCurrentPosition() {
+    // Keyboard shortcut subsystem.
+    // Bindings are stored as "Modifier+Code" strings using KeyboardEvent.code, so they do not
+    // depend on the keyboard layout or on characters produced by Alt. User bindings are
+    // persisted under og_minimap_shortcuts.
+    const Shortcuts = (function() {
+        const STORAGE_KEY = 'og_minimap_shortcuts';
+        let bindings = {}; // action -> combo
+        let captureCallback = null; // Set while waiting for a new binding
+
+        function _load() {
+            Object.keys(SHORTCUT_ACTIONS).forEach(action => {
+                bindings[action] = SHORTCUT_ACTIONS[action].defaultKey;
+            });
             try {
-                // Use the dynamic function to find the iframe
-                const iframe = findStreetViewIframe();
-                if (iframe && iframe.src) {
-                    const url = new URL(iframe.src);
-                    const loc = url.searchParams.get('location');
-                    if (loc) {
-                        const [lat, lng] = loc.split(',').map(Number);
-                        if (!isNaN(lat) && !isNaN(lng)) return { lat, lng };
-                    }
-                }
+                const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+                Object.keys(saved).forEach(action => {
+                    if (SHORTCUT_ACTIONS[action] && typeof saved[action] === 'string') bindings[action] = saved[action];
+                });
             } catch (e) {
-                 console.error("Error in _getCurrentPosition:", e);
+                console.error('Error loading shortcuts from localStorage:', e);
             }
-            return null;
         }
+
+        function _save() {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+        }
+
+        // Converts a keyboard event into a combo string, or null for a bare modifier key
+        function comboFromEvent(e) {
+            if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return null;
+            const parts = [];
+            if (e.ctrlKey) parts.push('Ctrl');
+            if (e.altKey) parts.push('Alt');
+            if (e.shiftKey) parts.push('Shift');
+            if (e.metaKey) parts.push('Meta');
+            parts.push(e.code);
+            return parts.join('+');
+        }
+
+        // Turns "Alt+KeyM" into "Alt+M" for display
+        function formatCombo(combo) {
+            if (!combo) return '—';
+            const names = { Equal: '=', Minus: '-', Slash: '/', Comma: ',', Period: '.', Semicolon: ';', Quote: "'", Backquote: '`', BracketLeft: '[', BracketRight: ']', Backslash: '\\' };
+            return combo.split('+').map(part => names[part] || part.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Arrow/, '')).join('+');
+        }
+
+        // Ignores key presses while the user is typing in the game or in a helper form
+        function _isTyping(e) {
+            const el = e.target instanceof Element ? e.target : document.activeElement;
+            if (!el) return false;
+            return el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName);
+        }
+
+        function _onKeyDown(e) {
+            const combo = comboFromEvent(e);
+            if (!combo) return;
+            if (captureCallback) {
+                e.preventDefault();
+                e.stopPropagation();
+                const cb = captureCallback;
+                captureCallback = null;
+                cb(e.code === 'Escape' ? null : combo);
+                return;
+            }
+            if (e.code === 'Escape' && document.getElementById('minimapShortcutOverlay')) {
+                toggleShortcutCheatSheet(false);
+                return;
+            }
+            if (_isTyping(e)) return;
+            const action = Object.keys(bindings).find(a => bindings[a] === combo);
+            if (!action) return;
+            e.preventDefault();
+            e.stopPropagation();
+            try {
+                SHORTCUT_ACTIONS[action].run();
+            } catch (err) {
+                console.error(`Error running shortcut "${action}":`, err);
+            }
+        }
+
+        // Binds a combo to an action, removing it from any other action first
+        function setBinding(action, combo) {
+            if (!SHORTCUT_ACTIONS[action]) return;
+            if (combo) {
+                Object.keys(bindings).forEach(other => {
+                    if (bindings[other] === combo) bindings[other] = null;
+                });
+            }
+            bindings[action] = combo;
+            _save();
+        }
+
+        function resetBindings() {
+            localStorage.removeItem(STORAGE_KEY);
+            _load();
+        }
+
+        _load();
+
         return {
-            // Public method to get the current position, updates lastPos
-            getCurrentPosition: function() { const p = _getCurrentPosition(); if (p) lastPos = p; return p; },
-            // Public method to retrieve the last known position
-            getLastPosition: function() { return lastPos; }
+            // Starts listening for shortcuts
+            start: function() { document.addEventListener('keydown', _onKeyDown, true); },
+            stop: function() { document.removeEventListener('keydown', _onKeyDown, true); },
+            getBindings: function() { return { ...bindings }; },
+            setBinding,
+            resetBindings,
+            formatCombo,
+            // Calls cb with the next key combo pressed (or null on Escape) instead of running shortcuts
+            captureNext: function(cb) { captureCallback = cb; }
         };
     })();
 
-    // Wrapper function to get the current position using the PositionModule
-    function getCurrentPosition() { return PositionModule.getCurrentPosition(); }
+    // Shows or hides the shortcut cheat sheet, which also allows rebinding keys
+    function toggleShortcutCheatSheet(forceOpen) {
+        let overlay = document.getElementById('minimapShortcutOverlay');
+        const open = forceOpen !== undefined ? forceOpen : !overlay;
+        if (!open) {
+            if (overlay) overlay.remove();
+            return;
+        }
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'minimapShortcutOverlay';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            I18n.localize(overlay, { label: 'button.shortcuts' });
+            overlay.onclick = e => { if (e.target === overlay) toggleShortcutCheatSheet(false); };
+            document.body.appendChild(overlay);
+            applyTheme();
+        }
+        overlay.replaceChildren();
+        const card = document.createElement('div');
+        card.className = 'shortcut-card';
+        const title = document.createElement('div');
+        title.className = 'panel-section-title';
+        title.textContent = t('button.shortcuts');
+        card.appendChild(title);
+        const bindings = Shortcuts.getBindings();
+        Object.keys(SHORTCUT_ACTIONS).forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+            const name = document.createElement('span');
+            name.textContent = t(`shortcut.${action}`);
+            const key = document.createElement('kbd');
+            key.textContent = Shortcuts.formatCombo(bindings[action]);
+            const change = document.createElement('button');
+            change.className = 'layer-btn';
+            change.textContent = t('shortcuts.change');
+            change.onclick = () => {
+                key.textContent = t('shortcuts.pressKeys');
+                Shortcuts.captureNext(combo => {
+                    if (combo) Shortcuts.setBinding(action, combo);
+                    toggleShortcutCheatSheet(true);
+                });
+            };
+            row.appendChild(name);
+            row.appendChild(key);
+            row.appendChild(change);
+            card.appendChild(row);
+        });
+        const footer = document.createElement('div');
+        footer.className = 'panel-row';
+        const reset = document.createElement('button');
+        reset.className = 'layer-btn';
+        reset.textContent = t('shortcuts.reset');
+        reset.onclick = () => {
+            Shortcuts.resetBindings();
+            toggleShortcutCheatSheet(true);
+        };
+        const close = document.createElement('button');
+        close.className = 'layer-btn';
+        close.textContent = t('button.close');
+        close.onclick = () => toggleShortcutCheatSheet(false);
+        footer.appendChild(reset);
+        footer.appendChild(close);
+        card.appendChild(footer);
+        overlay.appendChild(card);
+    }
+
+    // Builds the coordinates panel: the current position in every format plus a "go to" box
+    function renderCoordinatesPanel() {
+        const body = createMinimapPanel('minimapCoordinatesPanel', 'panel.coordinates');
+        if (!body || body.childElementCount) return;
+        const list = document.createElement('div');
+        list.id = 'minimapCoordinateList';
+        body.appendChild(list);
+
+        const heading = document.createElement('div');
+        heading.className = 'panel-section-title';
+        I18n.localize(heading, { text: 'coordinates.goTo' });
+        body.appendChild(heading);
+        const form = document.createElement('form');
+        form.className = 'panel-row';
+        const input = document.createElement('input');
+        input.type = 'text';
+        I18n.localize(input, { placeholder: 'coordinates.placeholder' });
+        input.className = 'coordinate-input';
+        const go = document.createElement('button');
+        go.type = 'submit';
+        go.className = 'layer-btn';
+        I18n.localize(go, { text: 'coordinates.go' });
+        const status = document.createElement('div');
+        status.className = 'panel-status';
+        form.onsubmit = e => {
+            e.preventDefault();
+            const target = Coordinates.parse(input.value, lastPosition);
+            if (!target) {
+                status.textContent = t('coordinates.unrecognised');
+                return;
+            }
+            const format = Coordinates.FORMATS.find(f => f.id === target.format);
+            status.textContent = `${coordinateFormatLabel(format)}: ${Coordinates.toDecimal(target.lat, target.lng)}`;
+            goToCoordinates(target.lat, target.lng);
+        };
+        form.appendChild(input);
+        form.appendChild(go);
+        body.appendChild(form);
+        body.appendChild(status);
+        updateCoordinatesPanel(lastPosition);
+    }
+
+    // Refreshes the formatted coordinates while the panel is open
+    function updateCoordinatesPanel(position) {
+        const list = document.getElementById('minimapCoordinateList');
+        if (!list || !list.closest('.minimap-panel.open')) return;
+        list.replaceChildren();
+        if (!position) {
+            const empty = document.createElement('div');
+            empty.className = 'minimap-panel-empty';
+            empty.textContent = t('coordinates.waiting');
+            list.appendChild(empty);
+            return;
+        }
+        Coordinates.FORMATS.forEach(coordinateFormat => {
+            const label = coordinateFormatLabel(coordinateFormat);
+            const value = coordinateFormat.format(position.lat, position.lng);
+            const row = document.createElement('button');
+            row.className = 'coordinate-row';
+            I18n.localize(row, { title: 'coordinates.copy' });
+            const name = document.createElement('span');
+            name.className = 'history-meta';
+            name.textContent = label;
+            const text = document.createElement('span');
+            text.textContent = value || t('coordinates.unavailable');
+            row.appendChild(name);
+            row.appendChild(text);
+            row.disabled = !value;
+            row.onclick = () => copyToClipboard(value, t('clipboard.formatCopied', { format: label }));
+            list.appendChild(row);
+        });
+    }
+
+    // Pans the minimap to the given coordinates and marks them
+    function goToCoordinates(lat, lng) {
+        if (!minimapInstance) return;
+        if (goToMarker) goToMarker.remove();
+        goToMarker = L.circleMarker([lat, lng], { radius: 7, color: '#e74c3c', weight: 2, fillOpacity: 0.3 }).addTo(minimapInstance);
+        minimapInstance.setView([lat, lng], Math.max(minimapInstance.getZoom() || 0, 12));
+    }
+
+    // Opens or closes the coordinates panel
+    function toggleCoordinatesPanel() {
+        renderCoordinatesPanel();
+        if (toggleMinimapPanel('minimapCoordinatesPanel')) updateCoordinatesPanel(lastPosition);
+    }
 
     // Creates the main minimap container and its sub-elements (map content, info panel, layer control, title)
     function createMinimap() {
@@ -346,8 +6541,30 @@
         // Create title bar element
         const titleBar = document.createElement('div');
         titleBar.id = 'minimapTitle';
-        titleBar.textContent = 'Minimap';
         wrapper.appendChild(titleBar);
+        const titleText = document.createElement('span');
+        titleText.id = 'minimapTitleText';
+        I18n.localize(titleText, { text: 'minimap.title' });
+        titleBar.appendChild(titleText);
+
+        // Shows which position provider is currently feeding the minimap
+        const providerLabel = document.createElement('span');
+        providerLabel.id = 'minimapProvider';
+        titleBar.appendChild(providerLabel);
+        updateProviderLabel(PositionModule.getActiveProvider());
+
+        // Container for the title bar action buttons
+        const titleActions = document.createElement('div');
+        titleActions.id = 'minimapTitleActions';
+        titleBar.appendChild(titleActions);
+        addTitleBarButton('minimapCoordinatesBtn', '📍', 'button.coordinates', toggleCoordinatesPanel);
+        addTitleBarButton('minimapMeasureBtn', '📏', 'button.measure', () => MeasureTool.toggle());
+        addTitleBarButton('minimapHistoryBtn', '📜', 'button.history', toggleHistoryPanel);
+        addTitleBarButton('minimapStatsBtn', '📊', 'button.statistics', toggleStatsPanel);
+        addTitleBarButton('minimapExportBtn', '💾', 'button.export', toggleExportPanel);
+        addTitleBarButton('minimapSettingsBtn', '⚙️', 'button.settings', toggleSettingsPanel);
+        addTitleBarButton('minimapPopOutBtn', '⧉', 'button.popOut', () => PopOut.open());
+        addTitleBarButton('minimapShortcutsBtn', '⌨️', 'button.shortcuts', () => toggleShortcutCheatSheet());
 
         const mapContent = document.createElement('div');
         mapContent.id = 'minimapContent';
@@ -355,32 +6572,83 @@
 
         const infoPanel = document.createElement('div');
         infoPanel.id = 'minimapInfo';
-        // Initially set to disconnected state
-        infoPanel.classList.add('disconnected');
 
         // Create a span for the main text content
         const infoTextSpan = document.createElement('span');
         infoTextSpan.id = 'minimapInfoText';
-        infoTextSpan.textContent = 'Location: Waiting...';
+        infoTextSpan.textContent = t('location.waiting');
         infoPanel.appendChild(infoTextSpan);
 
+        // Button expanding the structured place details
+        const detailsToggle = document.createElement('button');
+        detailsToggle.id = 'minimapDetailsToggle';
+        detailsToggle.className = 'title-btn';
+        detailsToggle.textContent = '▴';
+        I18n.localize(detailsToggle, { title: 'button.placeDetails', label: 'button.placeDetails' });
+        detailsToggle.onclick = togglePlaceDetails;
+        infoPanel.appendChild(detailsToggle);
+
+        // Shown when the map library failed to load
+        const retryBtn = document.createElement('button');
+        retryBtn.id = 'minimapRetryBtn';
+        retryBtn.className = 'layer-btn';
+        I18n.localize(retryBtn, { text: 'button.retry', title: 'button.retryTitle' });
+        retryBtn.style.display = 'none';
+        retryBtn.onclick = () => loadLeaflet(() => initializeLeafletMap());
+        infoPanel.appendChild(retryBtn);
+
         // Create a span for the status indicator dot
         const statusDot = document.createElement('span');
         statusDot.id = 'minimapStatusDot';
+        statusDot.setAttribute('role', 'img');
         infoPanel.appendChild(statusDot);
 
         wrapper.appendChild(infoPanel);
+        // Initially set to disconnected state
+        setConnectionStatus('disconnected');
+
+        // Visually hidden live region announcing place changes to screen readers
+        const announcer = document.createElement('div');
+        announcer.id = 'minimapAnnouncer';
+        announcer.className = 'visually-hidden';
+        announcer.setAttribute('role', 'status');
+        announcer.setAttribute('aria-live', 'polite');
+        wrapper.appendChild(announcer);
+
+        const placeDetails = document.createElement('div');
+        placeDetails.id = 'minimapPlaceDetails';
+        wrapper.appendChild(placeDetails);
 
         const layerControl = document.createElement('div');
         layerControl.id = 'minimapLayerControl';
         wrapper.appendChild(layerControl);
 
+        // Distance travelled in the current round, with a "return to start" action
+        const trailStats = document.createElement('div');
+        trailStats.id = 'minimapTrailStats';
+        trailStats.style.display = 'none';
+        trailStats.appendChild(document.createElement('span'));
+        const startBtn = document.createElement('button');
+        startBtn.className = 'title-btn';
+        startBtn.textContent = '⤺';
+        I18n.localize(startBtn, { title: 'trail.returnToStart', label: 'trail.returnToStart' });
+        startBtn.onclick = returnToStart;
+        trailStats.appendChild(startBtn);
+        wrapper.appendChild(trailStats);
+
+        createMeasureBar(wrapper);
+        createReplayBar(wrapper);
+
+        setupMinimapLayout(wrapper, titleBar);
+        applyLayout();
+
         loadLeaflet(() => initializeLeafletMap());
     }
 
     // Initializes the Leaflet map, sets up layers, and event listeners
     function initializeLeafletMap() {
-        if (minimapInstance) return;
+        // The minimap may have been destroyed while Leaflet was loading
+        if (minimapInstance || !document.getElementById('minimapContent')) return;
 
         // Defines a custom marker icon using a DivIcon for better styling control
         customMarkerIcon = L.divIcon({
@@ -389,6 +6657,20 @@
             iconSize: [18, 18],
             iconAnchor: [9, 9]
         });
+        // Distinct icon marking where the current round started
+        startMarkerIcon = L.divIcon({
+            className: 'start-map-marker',
+            html: `<div></div>`,
+            iconSize: [14, 14],
+            iconAnchor: [7, 7]
+        });
+        // Marker moved along a session replay
+        replayMarkerIcon = L.divIcon({
+            className: 'replay-map-marker',
+            html: `<div></div>`,
+            iconSize: [18, 18],
+            iconAnchor: [9, 9]
+        });
 
         // Attempt to load the saved view
         const savedView = loadMapView();
@@ -409,54 +6691,31 @@
             if (!userInteracting) { // Only save if the user made the change
                 saveMapView();
             }
+            PopOut.sendView();
         });
 
-        // Defines different tile layers (Standard, Satellite, Topographic) for the minimap
-        const layers = {
-            'Standard': L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', { maxZoom: 19, attribution: '© OpenStreetMap contributors', noWrap: false }),
-            'Satellite': L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', { maxZoom: 19, attribution: '© Esri', noWrap: false }),
-            'Topographic': L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', { maxZoom: 17, attribution: '© OpenTopoMap contributors', noWrap: false })
-        };
-        // Adds the default 'Standard' layer to the map
-        layers['Standard'].addTo(minimapInstance);
-
-        // Creates buttons for switching between different map layers
-        const layerControl = document.getElementById('minimapLayerControl');
-        Object.keys(layers).forEach(name => {
-            const btn = document.createElement('button');
-            btn.textContent = name;
-            btn.className = 'layer-btn';
-            if (name === 'Standard') {
-                btn.classList.add('active');
-            }
-            btn.onclick = () => {
-                // Removes all existing layers and adds the selected one
-                Object.values(layers).forEach(l => { if (minimapInstance.hasLayer(l)) minimapInstance.removeLayer(l); });
-                layers[name].addTo(minimapInstance);
-                // Updates active state of layer buttons
-                Array.from(layerControl.children).forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-            };
-            layerControl.appendChild(btn);
-        });
+        // Restores the persisted base layer and overlays, and creates the layer buttons
+        LayerManager.attach(minimapInstance);
+        PublicApi.attachLayers(minimapInstance);
+        renderLayerButtons();
+        renderTrail();
 
         // Gets the initial position and updates the minimap
         const pos = getCurrentPosition();
         if (pos) updateMinimap(pos, true);
-        // Starts the interval for continuous position updates
-        startPositionUpdateInterval();
+        // Starts listening for position changes
+        startPositionTracking();
     }
 
-    // Updates the marker position on the minimap and optionally centers the view
+    // Handles a new position: moves the marker and optionally centers the view, records the
+    // move and looks up the place name. Only the map parts wait for Leaflet.
     function updateMinimap(position, setView = false) {
-        if (!minimapInstance) return;
         lastPosition = position;
 
         // Update the status indicator to connected
         const infoPanel = document.getElementById('minimapInfo');
         if (infoPanel) {
-            infoPanel.classList.remove('disconnected', 'error'); // Remove error state when position updates
-            infoPanel.classList.add('connected');
+            setConnectionStatus('connected'); // Also clears the error state when position updates
             // Clear any pending timeout to reset status
             if (positionStatusTimeout) {
                 clearTimeout(positionStatusTimeout);
@@ -464,137 +6723,219 @@
             }
             // Set a new timeout to reset status if no update comes soon
             positionStatusTimeout = setTimeout(() => {
-                if (infoPanel) {
-                     infoPanel.classList.remove('connected');
-                     infoPanel.classList.add('disconnected');
-                }
-            }, 8000); // Reset status after 8 seconds without an update
+                setConnectionStatus('disconnected');
+            }, config.statusTimeoutMs); // Reset status after a while without an update
         }
 
-        if (currentMarker) {
-            // Moves existing marker to new position
-            currentMarker.setLatLng([position.lat, position.lng]);
-        } else {
-            // Creates a new marker if one doesn't exist
-            currentMarker = L.marker([position.lat, position.lng], { icon: customMarkerIcon }).addTo(minimapInstance);
-        }
-        // Centers the map view on the marker if setView is true and user is not interacting
-        if (setView && !userInteracting) {
-            minimapInstance.setView([position.lat, position.lng], minimapInstance.getZoom() || 12);
+        if (minimapInstance) {
+            if (currentMarker) {
+                // Moves existing marker to new position
+                currentMarker.setLatLng([position.lat, position.lng]);
+            } else {
+                // Creates a new marker if one doesn't exist
+                currentMarker = L.marker([position.lat, position.lng], { icon: customMarkerIcon }).addTo(minimapInstance);
+            }
+            // Centers the map view on the marker if setView is true and user is not interacting
+            if (setView && !userInteracting && !Replay.isActive()) {
+                minimapInstance.setView([position.lat, position.lng], minimapInstance.getZoom() || 12);
+            }
+            TileCache.prefetch(LayerManager.getVisibleSources(), position.lat, position.lng, minimapInstance.getZoom());
         }
+        PopOut.sendPosition(position, setView);
+        // Records the move in the round history
+        HistoryRecorder.recordPosition(position);
+        updateCoordinatesPanel(position);
+        MeasureTool.refresh();
         // Updates the information panel with new position details
         updateInfoPanel(position);
     }
 
-    // Fetches and displays location name based on coordinates using OpenStreetMap Nominatim API
-    async function updateInfoPanel(position) {
+    // Fields of the structured place details, in hierarchy order
+    const PLACE_FIELDS = ['country', 'countryCode', 'state', 'county', 'municipality', 'city', 'road', 'postcode'];
+
+    // Reduces a geocoder address (Nominatim-style keys) to the fields in PLACE_FIELDS
+    function normalizeAddress(address) {
+        if (!address) return null;
+        const pick = (...keys) => {
+            for (const key of keys) {
+                if (address[key] !== undefined && address[key] !== null && String(address[key]).trim()) return String(address[key]).trim();
+            }
+            return '';
+        };
+        const details = {
+            country: pick('country'),
+            countryCode: pick('country_code').toUpperCase(),
+            state: pick('state', 'region', 'province', 'state_district'),
+            // ISO 3166-2 code of the state, identifying it whatever language the name is in
+            regionCode: pick('ISO3166-2-lvl4', 'ISO3166-2-lvl3').toUpperCase(),
+            county: pick('county'),
+            municipality: pick('municipality'),
+            city: pick('city', 'town', 'village', 'hamlet'),
+            road: pick('road', 'pedestrian', 'street'),
+            postcode: pick('postcode')
+        };
+        return Object.values(details).some(Boolean) ? details : null;
+    }
+
+    // Turns a two-letter country code into its flag emoji
+    function countryFlag(countryCode) {
+        if (!/^[A-Z]{2}$/.test(countryCode || '')) return '';
+        return String.fromCodePoint(...countryCode.split('').map(c => 0x1F1E6 + c.charCodeAt(0) - 65));
+    }
+
+    // Builds the compact place line from the fields chosen in the settings.
+    // The city falls back to the region when no settlement is known (e.g. offline lookups).
+    function formatPlaceName(details, displayName) {
+        if (details) {
+            const values = config.compactFields.map(field => {
+                if (field === 'city') return details.city || details.state;
+                if (field === 'countryCode') return details.countryCode ? `${countryFlag(details.countryCode)} ${details.countryCode}`.trim() : '';
+                return details[field];
+            }).filter(Boolean);
+            const unique = values.filter((value, i) => values.indexOf(value) === i);
+            if (unique.length) return unique.join(', ');
+        }
+        return displayName || t('location.noDetails');
+    }
+
+    // Renders the expandable detail view with the full place hierarchy
+    function renderPlaceDetails() {
+        const container = document.getElementById('minimapPlaceDetails');
+        if (!container) return;
+        container.replaceChildren();
+        if (!lastPlaceDetails) {
+            const empty = document.createElement('div');
+            empty.className = 'minimap-panel-empty';
+            empty.textContent = t('place.empty');
+            container.appendChild(empty);
+        }
+        PLACE_FIELDS.forEach(key => {
+            const value = lastPlaceDetails && lastPlaceDetails[key];
+            if (!value) return;
+            const row = document.createElement('div');
+            row.className = 'place-detail-row';
+            const name = document.createElement('span');
+            name.className = 'history-meta';
+            name.textContent = t(`place.${key}`);
+            const text = document.createElement('span');
+            text.textContent = key === 'countryCode' ? `${countryFlag(value)} ${value}`.trim() : value;
+            row.appendChild(name);
+            row.appendChild(text);
+            container.appendChild(row);
+        });
+        PublicApi.renderSections(container);
+    }
+
+    // Expands or collapses the place details view
+    function togglePlaceDetails() {
+        const container = document.getElementById('minimapPlaceDetails');
+        const toggle = document.getElementById('minimapDetailsToggle');
+        if (!container) return;
+        const open = container.classList.toggle('open');
+        if (toggle) toggle.textContent = open ? '▾' : '▴';
+        if (open) renderPlaceDetails();
+    }
+
+    // Writes the place line into the info panel
+    function renderPlaceLine(placeName) {
         const infoTextElement = document.getElementById('minimapInfoText');
+        const text = t('location.label', { name: placeName });
+        if (infoTextElement && infoTextElement.textContent !== text) {
+            infoTextElement.textContent = text;
+            announce(text);
+        }
+        PopOut.sendPlaceName(placeName);
+    }
+
+    // Fetches and displays location name based on coordinates using the reverse geocoder backends
+    async function updateInfoPanel(position) {
         const infoPanel = document.getElementById('minimapInfo'); // For status updates
-        if (!infoTextElement || !infoPanel) return;
+        if (!infoPanel) return;
 
-        // Debounce the Nominatim request
+        // Debounce the request and cancel the one for the previous, now stale, position
         if (nominatimDebounceTimeout) {
             clearTimeout(nominatimDebounceTimeout);
         }
+        if (placeNameRequestController) {
+            placeNameRequestController.abort();
+        }
+        const controller = new AbortController();
+        placeNameRequestController = controller;
 
         // Function to perform the actual request
         const performRequest = async () => {
-            let placeName = 'Unknown';
-            let isError = false;
-
-            // Check cache first
-            const cachedKey = `${position.lat.toFixed(6)},${position.lng.toFixed(6)}`;
-            if (locationCache[cachedKey] && isCachedLocationValid(position.lat, position.lng, locationCache[cachedKey].lat, locationCache[cachedKey].lng)) {
-                console.log('Using cached location name for:', cachedKey);
-                placeName = locationCache[cachedKey].name;
+            let placeName = t('location.unknown');
+            let details = null; // Structured address of the resolved place
+            let resolved = false; // True when placeName was actually resolved for this position
+            const language = I18n.getPlaceNameLanguage();
+
+            // Check cache first for the nearest entry within the distance threshold
+            await LocationCache.load();
+            const cached = LocationCache.get(position.lat, position.lng, language);
+            updateCacheStatsDisplay();
+            if (cached) {
+                console.log('Using cached location name for:', cached.key);
+                details = cached.details || null;
+                placeName = details ? formatPlaceName(details, cached.name) : cached.name;
                 lastValidPlaceName = placeName;
+                resolved = true;
             } else {
                 try {
-                    const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${position.lat}&lon=${position.lng}&zoom=18&addressdetails=1`;
-                    const res = await fetch(url);
-                    if (!res.ok) {
-                        throw new Error(`Nominatim API error: ${res.status} ${res.statusText}`);
+                    const result = await Geocoder.reverse(position.lat, position.lng, controller.signal, language);
+                    details = normalizeAddress(result.address);
+                    placeName = formatPlaceName(details, result.displayName) || t('location.unknown');
+                    // Update the last valid name and cache it if successful
+                    if (placeName !== t('location.unknown') && placeName !== t('location.noDetails')) {
+                        lastValidPlaceName = placeName;
+                        LocationCache.set(position.lat, position.lng, placeName, details, language);
+                        resolved = true;
                     }
-                    const data = await res.json();
-                    if (data && data.address) {
-                        // Extract country and city/town/village
-                        const country = data.address.country || '';
-                        const city = data.address.city || data.address.town || data.address.village || '';
-
-                        // Construct the place name: Country, City
-                        if (city) {
-                            placeName = `${country}, ${city}`;
-                        } else {
-                            placeName = country;
-                        }
-                        // Update the last valid name if successful
-                        if (placeName !== 'Unknown' && placeName !== 'No details found' && !placeName.includes('Location Name Unavailable')) {
-                             lastValidPlaceName = placeName;
-                             // Cache the new result
-                             locationCache[cachedKey] = {
-                                 lat: position.lat,
-                                 lng: position.lng,
-                                 name: placeName,
-                                 timestamp: Date.now()
-                             };
-                        }
-                    } else {
-                         placeName = data.display_name || 'No details found';
-                         if (placeName !== 'No details found') {
-                              lastValidPlaceName = placeName;
-                              locationCache[cachedKey] = {
-                                 lat: position.lat,
-                                 lng: position.lng,
-                                 name: placeName,
-                                 timestamp: Date.now()
-                             };
-                         }
-                    }
-                    // Reset error count on success
-                    nominatimErrorCount = 0;
-                    if (nominatimErrorResetTimeout) {
-                        clearTimeout(nominatimErrorResetTimeout);
-                        nominatimErrorResetTimeout = null;
-                    }
-                    // Set timeout to reset error count if no more errors occur soon
-                    nominatimErrorResetTimeout = setTimeout(() => {
-                        nominatimErrorCount = 0;
-                    }, NOMINATIM_ERROR_RESET_TIMEOUT);
-
+                    if (infoPanel.classList.contains('error')) setConnectionStatus('connected');
                 } catch (e) {
-                    console.error("Error fetching place name:", e);
-                    isError = true;
-                    // Increment error counter
-                    nominatimErrorCount++;
-                    // Use the last valid name or show unavailable message if threshold is reached
-                    if (nominatimErrorCount >= NOMINATIM_ERROR_THRESHOLD) {
-                        placeName = 'Location Service Unavailable';
-                        infoPanel.classList.remove('connected', 'disconnected');
-                        infoPanel.classList.add('error');
+                    // A newer position superseded this request
+                    if (e.name === 'AbortError') return;
+                    // Use the last valid name or show unavailable message if every backend is failing
+                    if (Geocoder.isUnavailable()) {
+                        placeName = t('location.serviceUnavailable');
+                        setConnectionStatus('error');
                     } else {
-                        placeName = lastValidPlaceName !== 'Unknown' ? `${lastValidPlaceName} (Last Known)` : 'Location Name Unavailable';
+                        placeName = lastValidPlaceName ? t('location.lastKnown', { name: lastValidPlaceName }) : t('location.nameUnavailable');
                     }
                 }
             }
+            if (controller.signal.aborted) return;
+            if (resolved) {
+                HistoryRecorder.recordPlaceName(position, placeName);
+                PlaceStats.record(HistoryRecorder.getCurrentRound(), position, details);
+                PublicApi.emit('place', { position: { ...position }, placeName, place: details ? { ...details } : null });
+            }
 
-            // Update the text content - ONLY Country and City (or error message)
-            infoTextElement.innerHTML = `Location: ${placeName}`;
+            // Update the compact line and the detail view (rendered as text, never as HTML)
+            lastPlaceDetails = resolved ? details : null;
+            lastPlaceDisplayName = resolved ? placeName : null;
+            if (Replay.isActive()) return; // The replay owns the info panel until it stops
+            renderPlaceLine(placeName);
+            renderPlaceDetails();
         };
 
-        // Set the timeout to execute the request after a delay (e.g., 2 seconds)
-        nominatimDebounceTimeout = setTimeout(performRequest, 2000);
+        // Set the timeout to execute the request after a short delay
+        nominatimDebounceTimeout = setTimeout(performRequest, config.placeNameDebounceMs);
     }
 
-    // Starts a recurring interval to check and update the player's position on the minimap
-    function startPositionUpdateInterval() {
-        if (positionUpdateInterval) clearInterval(positionUpdateInterval); // Clears any existing interval
-        positionUpdateInterval = setInterval(() => {
-            const pos = getCurrentPosition();
-            // Updates minimap if position has changed
-            if (pos && (!lastPosition || pos.lat !== lastPosition.lat || pos.lng !== lastPosition.lng)) {
-                updateMinimap(pos, true);
-            }
-        }, 2000); // Checks every 2 seconds
+    // Subscribes the minimap to position-changed events and starts the watcher
+    function startPositionTracking() {
+        if (PositionWatcher.isRunning()) return;
+        if (!positionTrackingSubscribed) {
+            positionTrackingSubscribed = true;
+            PositionWatcher.onPositionChange(pos => {
+                PublicApi.emit('position', { ...pos });
+                // Updates minimap if position has changed
+                if (!lastPosition || pos.lat !== lastPosition.lat || pos.lng !== lastPosition.lng) {
+                    updateMinimap(pos, true);
+                }
+            });
+        }
+        PositionWatcher.start();
     }
 
     // Creates a draggable button that toggles the visibility of the minimap
@@ -604,66 +6945,53 @@
         wrapper.id = 'buttonWrapper';
         document.body.appendChild(wrapper);
 
-        const btn = document.createElement('div');
+        const btn = document.createElement('button');
         btn.id = 'locationButton';
+        btn.type = 'button';
         btn.textContent = '🗺️'; // Map emoji icon
+        I18n.localize(btn, { label: 'minimap.toggle' });
+        btn.setAttribute('aria-controls', 'mapWrapper');
+        btn.setAttribute('aria-expanded', 'false');
         wrapper.appendChild(btn);
+        applyLayout();
 
-        let startX, startY, isDragging = false, dragThreshold = 5;
-        // Event listener for dragging the button
-        btn.addEventListener('mousedown', e => {
-            startX = e.clientX;
-            startY = e.clientY;
-            isDragging = false;
-            const moveHandler = (e_move) => {
-                if (startX === null) return;
-                const dx = e_move.clientX - startX;
-                const dy = e_move.clientY - startY;
-                // Determines if dragging has started
-                if (!isDragging && (Math.abs(dx) > dragThreshold || Math.abs(dy) > dragThreshold)) {
-                    isDragging = true;
-                }
-                // Updates button and map wrapper position if dragging
-                if (isDragging) {
-                    wrapper.style.left = `${wrapper.offsetLeft + dx}px`;
-                    wrapper.style.top = `${wrapper.offsetTop + dy}px`;
-                    startX = e_move.clientX;
-                    startY = e_move.clientY;
-                    const map = document.getElementById('mapWrapper');
-                    if (map) {
-                        map.style.left = `${wrapper.offsetLeft}px`;
-                        map.style.top = `${wrapper.offsetTop + 60}px`; // Positions map relative to button
-                    }
+        // Pointer taps are handled by the drag logic below; keyboard and assistive technology
+        // activations arrive as clicks without a pointer (detail 0)
+        btn.addEventListener('click', e => {
+            if (e.detail === 0) toggleMinimap();
+        });
+        addArrowKeyControl(btn, (dx, dy) => {
+            layout.button.left += dx;
+            layout.button.top += dy;
+            layout.map.left = layout.button.left;
+            layout.map.top = layout.button.top + config.mapOffsetPx;
+            applyLayout();
+            saveLayout();
+        });
+
+        // Dragging the button moves the minimap along with it; a tap toggles the minimap
+        let origin = null;
+        makeDraggable(btn, {
+            onMove: (dx, dy) => {
+                if (!origin) {
+                    origin = { button: { ...layout.button }, map: { left: layout.map.left, top: layout.map.top } };
                 }
-            };
-            const upHandler = () => {
-                document.removeEventListener('mousemove', moveHandler);
-                document.removeEventListener('mouseup', upHandler);
-                // If not dragging, toggle minimap visibility
-                if (!isDragging) {
-                    const map = document.getElementById('mapWrapper');
-                    if (map) {
-                        if (map.classList.contains('visible')) {
-                            // --- SAVE VIEW WHEN CLOSING ---
-                            saveMapView();
-                        }
-                        map.classList.toggle('visible'); // Toggles 'visible' class for CSS transitions
-                        if (map.classList.contains('visible')) {
-                            // Invalidates map size and centers view if minimap becomes visible
-                            if (minimapInstance) {
-                                minimapInstance.invalidateSize();
-                                if (!userInteracting && lastPosition) {
-                                    minimapInstance.setView([lastPosition.lat, lastPosition.lng], minimapInstance.getZoom() || 12);
-                                }
-                            }
-                        }
-                    }
+                layout.button.left = origin.button.left + dx;
+                layout.button.top = origin.button.top + dy;
+                layout.map.left = origin.button.left + dx;
+                layout.map.top = origin.button.top + dy + config.mapOffsetPx; // Positions map relative to button
+                applyLayout();
+            },
+            onEnd: dragged => {
+                origin = null;
+                if (!dragged) {
+                    toggleMinimap();
+                    return;
                 }
-                startX = null;
-                startY = null;
-            };
-            document.addEventListener('mousemove', moveHandler);
-            document.addEventListener('mouseup', upHandler);
+                snapToEdges(layout.button, LOCATION_BUTTON_SIZE, LOCATION_BUTTON_SIZE);
+                applyLayout();
+                saveLayout();
+            }
         });
     }
 
@@ -672,46 +7000,469 @@
         if (isInitialized) return;
         isInitialized = true;
         console.log('OpenGuessr Helper: Initializing script...');
-        applyTheme();          // Applies initial theme
         injectStyles();        // Injects CSS styles
         createLocationButton(); // Creates the minimap toggle button
         createMinimap();       // Creates and initializes the minimap
-        setupObserver();       // Sets up mutation observer for UI elements
-        // Observes body for data-theme changes to reapply styles
-        new MutationObserver(() => applyTheme()).observe(document.body, { attributes: true, attributeFilter: ['data-theme'] });
-    }
-
-    // Sets up a MutationObserver to detect if the minimap or button are removed from the DOM
-    // If removed, it recreates them to ensure persistence
-    function setupObserver() {
-        const observer = new MutationObserver(() => {
-            // Use the dynamic function to find the iframe
-            const panoramaExists = findStreetViewIframe();
-            if (panoramaExists) {
-                // Recreate button if it's missing
+        startPositionTracking(); // Tracks positions even while Leaflet is still loading or blocked
+        applyTheme();          // Applies the theme to the elements created above
+        HistoryRecorder.load(); // Loads rounds recorded in previous sessions
+        PlaceStats.load();
+        Shortcuts.start();     // Listens for keyboard shortcuts
+        window.addEventListener('resize', onWindowResize);
+        watchHostTheme();      // Follows the site's theme without modifying it
+    }
+
+    // Pauses position tracking and its timers while no panorama is on screen.
+    // The UI stays available so history, statistics and replays can still be used.
+    function suspendHelper() {
+        PositionWatcher.stop();
+        PositionModule.clearMessagePosition();
+        clearTimeout(nominatimDebounceTimeout);
+        clearTimeout(positionStatusTimeout);
+        nominatimDebounceTimeout = positionStatusTimeout = null;
+        if (placeNameRequestController) placeNameRequestController.abort();
+        placeNameRequestController = null;
+        setConnectionStatus('disconnected');
+    }
+
+    // Restarts tracking when a panorama is back on screen
+    function resumeHelper() {
+        createLocationButton();
+        createMinimap();
+        PositionWatcher.reset();
+        startPositionTracking();
+    }
+
+    // Removes the Leaflet map and forgets the layers drawn on it, so a new map can be built
+    function disposeMinimap() {
+        Replay.stop();
+        MeasureTool.stop();
+        if (minimapInstance) {
+            saveMapView();
+            minimapInstance.remove(); // Also removes every layer and the map's DOM listeners
+        }
+        minimapInstance = currentMarker = trailLine = startMarker = goToMarker = importOverlayLayer = choroplethLayer = null;
+    }
+
+    // Removes everything the helper added to the page: Leaflet map, DOM, styles, listeners and timers
+    function destroyHelper() {
+        PositionModule.stop();
+        if (!isInitialized) return;
+        PositionWatcher.stop();
+        Shortcuts.stop();
+        PopOut.dock();
+        [nominatimDebounceTimeout, positionStatusTimeout, toastTimeout].forEach(timeout => clearTimeout(timeout));
+        nominatimDebounceTimeout = positionStatusTimeout = toastTimeout = null;
+        if (placeNameRequestController) placeNameRequestController.abort();
+        placeNameRequestController = null;
+        disposeMinimap();
+        lastPosition = null;
+        ['buttonWrapper', 'mapWrapper', 'minimapToast', 'minimapShortcutOverlay', 'og-helper-styles'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.remove();
+        });
+        window.removeEventListener('resize', onWindowResize);
+        unwatchHostTheme();
+        isInitialized = false;
+        console.log('OpenGuessr Helper: Destroyed.');
+    }
+
+    // Drives the helper through its states, based on SPA route changes and the DOM:
+    //   idle → waiting (for a panorama) → active ⇄ suspended → destroyed → (start() again) waiting
+    // While waiting or suspended only a light periodic check for the panorama runs; the
+    // position watcher and the body observer run only while active.
+    const Lifecycle = (function() {
+        const CHECK_INTERVAL_MS = 500;
+        let state = 'idle';
+        let checkInterval = null; // Panorama detection while waiting or suspended
+        let domObserver = null;   // Watches for panorama loss, iframe swaps and removed UI while active
+        let lastUrl = null;
+        const stateListeners = [];
+
+        function _setState(next) {
+            if (state === next) return;
+            const previous = state;
+            state = next;
+            console.log(`OpenGuessr Helper: ${previous} → ${next}`);
+            stateListeners.forEach(cb => {
+                try { cb(next, previous); } catch (e) { console.error('Error in lifecycle listener:', e); }
+            });
+        }
+
+        function _startChecking() {
+            if (!checkInterval) checkInterval = setInterval(evaluate, CHECK_INTERVAL_MS);
+        }
+
+        function _stopChecking() {
+            clearInterval(checkInterval);
+            checkInterval = null;
+        }
+
+        const WATCHED_NODES = 'iframe, #mapWrapper, #buttonWrapper';
+
+        // Whether a node added or removed by the page may be (or hold) an iframe or the helper's UI
+        function _isRelevantNode(node) {
+            return node.nodeType === Node.ELEMENT_NODE && (node.matches(WATCHED_NODES) || Boolean(node.querySelector(WATCHED_NODES)));
+        }
+
+        // Changes inside the helper's own UI (tiles, text) and ones that add or remove no
+        // iframe and none of the helper's roots are skipped without querying the document
+        function _isRelevant(mutations) {
+            return mutations.some(mutation => {
+                if (mutation.target.closest && mutation.target.closest('#mapWrapper, #buttonWrapper')) return false;
+                return Array.from(mutation.addedNodes).some(_isRelevantNode) || Array.from(mutation.removedNodes).some(_isRelevantNode);
+            });
+        }
+
+        // The only body observer while active: recreates the button or the minimap if the page
+        // removed them, notices when the panorama goes away and hands iframe swaps to the watcher
+        function _observe() {
+            if (domObserver) return;
+            domObserver = new MutationObserver(mutations => {
+                if (!_isRelevant(mutations)) return;
+                const iframe = findStreetViewIframe();
+                if (!iframe) {
+                    evaluate();
+                    return;
+                }
+                PositionWatcher.setIframe(iframe);
                 if (!document.getElementById('buttonWrapper')) {
                     console.log('OpenGuessr Helper: Button removed, recreating...');
                     createLocationButton();
                 }
-                // Recreate minimap if it's missing
                 if (!document.getElementById('mapWrapper')) {
                     console.log('OpenGuessr Helper: Map removed, recreating...');
+                    // The old map still points at the removed container and would block the new one
+                    disposeMinimap();
                     createMinimap();
                 }
+            });
+            domObserver.observe(document.body, { childList: true, subtree: true });
+        }
+
+        function _disconnect() {
+            if (domObserver) domObserver.disconnect();
+            domObserver = null;
+        }
+
+        // Client-side navigation does not reload the page; re-check right away
+        function _onRouteChange() {
+            setTimeout(evaluate, 0);
+        }
+
+        // pushState/replaceState fire no event, so they are wrapped once; after destroy()
+        // the wrappers stay in place (other scripts may have wrapped them since) and evaluate() ignores them
+        let historyHooked = false;
+        function _hookHistory() {
+            if (historyHooked) return;
+            historyHooked = true;
+            ['pushState', 'replaceState'].forEach(name => {
+                const original = history[name];
+                history[name] = function(...args) {
+                    const result = original.apply(this, args);
+                    _onRouteChange();
+                    return result;
+                };
+            });
+        }
+
+        // Moves to the state matching the page: active with a panorama, otherwise waiting/suspended
+        function evaluate() {
+            if (state === 'idle' || state === 'destroyed') return;
+            const routeChanged = location.href !== lastUrl;
+            lastUrl = location.href;
+            const hasPanorama = Boolean(findStreetViewIframe());
+            if (hasPanorama && state !== 'active') {
+                _stopChecking();
+                if (isInitialized) resumeHelper();
+                else init();
+                _observe();
+                _setState('active');
+            } else if (!hasPanorama && state === 'active') {
+                _disconnect();
+                suspendHelper();
+                _startChecking();
+                _setState('suspended');
+            } else if (routeChanged && state === 'active') {
+                PositionWatcher.check();
             }
-        });
-        // Observes the entire body for childList and subtree changes
-        observer.observe(document.body, { childList: true, subtree: true });
-    }
+        }
+
+        // Starts waiting for a panorama (also after destroy())
+        function start() {
+            if (state !== 'idle' && state !== 'destroyed') return;
+            lastUrl = location.href;
+            _hookHistory();
+            PositionModule.start(); // A panorama known only by its messages is detected while waiting
+            window.addEventListener('popstate', _onRouteChange);
+            window.addEventListener('hashchange', _onRouteChange);
+            _setState('waiting');
+            _startChecking();
+            evaluate();
+        }
 
-    // Periodically checks for the existence of the Street View iframe
-    // Once found, it clears the interval and calls the main initialization function
-    const checkInterval = setInterval(() => {
-        // Use the dynamic function to find the iframe
-        if (findStreetViewIframe()) {
-            clearInterval(checkInterval); // Stops checking once iframe is found
-            init(); // Initializes the script
+        // Stops all timers and observers and removes the helper from the page
+        function destroy() {
+            if (state === 'idle' || state === 'destroyed') return;
+            _stopChecking();
+            _disconnect();
+            window.removeEventListener('popstate', _onRouteChange);
+            window.removeEventListener('hashchange', _onRouteChange);
+            destroyHelper();
+            _setState('destroyed');
         }
-    }, 500); // Checks every 500 milliseconds
+
+        return {
+            start,
+            destroy,
+            evaluate,
+            getState: function() { return state; },
+            // cb(state, previousState) on every transition
+            onStateChange: function(cb) { stateListeners.push(cb); }
+        };
+    })();
+
+    // Public API for companion userscripts, exposed as window.OpenGuessrHelper.
+    // Callbacks, plugin hooks and section renderers run isolated: an exception is logged
+    // and never reaches the minimap. Everything a plugin registers through the api object
+    // handed to its setup() is removed again when the plugin is torn down.
+    const API_VERSION = '1.0';
+    const PublicApi = (function() {
+        const EVENTS = ['position', 'place', 'round', 'state'];
+        const listeners = new Map(EVENTS.map(name => [name, new Set()]));
+        const layers = new Set();      // Leaflet layers added through the API
+        const sections = new Map();    // section id -> { title, render }
+        const plugins = new Map();     // plugin name -> { plugin, active, cleanups }
+
+        // Runs third-party code; exceptions and rejected promises are logged instead of propagating
+        function _safely(label, fn, ...args) {
+            const report = e => console.error(`OpenGuessr Helper: Error in ${label}:`, e);
+            try {
+                const result = fn(...args);
+                if (result && typeof result.then === 'function') result.then(undefined, report);
+                return result;
+            } catch (e) {
+                report(e);
+                return undefined;
+            }
+        }
+
+        // Calls the subscribers of an event with a payload
+        function emit(event, payload) {
+            listeners.get(event).forEach(cb => _safely(`${event} listener`, cb, payload));
+        }
+
+        // Subscribes to 'position', 'place', 'round' or 'state'; returns an unsubscribe function
+        function on(event, cb) {
+            if (!listeners.has(event)) throw new Error(`OpenGuessrHelper: unknown event "${event}" (expected ${EVENTS.join(', ')})`);
+            if (typeof cb !== 'function') throw new Error('OpenGuessrHelper: the listener must be a function');
+            listeners.get(event).add(cb);
+            return () => listeners.get(event).delete(cb);
+        }
+
+        function _roundSummary(round) {
+            return round ? { id: round.id, sessionId: round.sessionId, startedAt: round.startedAt, start: { ...round.start }, moves: round.points.length - 1, placeName: round.placeName } : null;
+        }
+
+        // Returns a snapshot of the current state
+        function getState() {
+            const provider = PositionModule.getActiveProvider();
+            return {
+                lifecycle: Lifecycle.getState(),
+                position: lastPosition ? { ...lastPosition } : null,
+                placeName: lastPlaceDisplayName,
+                place: lastPlaceDetails ? { ...lastPlaceDetails } : null,
+                round: _roundSummary(HistoryRecorder.getCurrentRound()),
+                provider: provider ? provider.name : null,
+                mapReady: Boolean(minimapInstance)
+            };
+        }
+
+        // Adds a Leaflet layer to the minimap, now or as soon as the map exists; returns a remove function
+        function addLayer(layer) {
+            if (!layer || typeof layer.addTo !== 'function') throw new Error('OpenGuessrHelper: addLayer() expects a Leaflet layer');
+            layers.add(layer);
+            if (minimapInstance) layer.addTo(minimapInstance);
+            return () => {
+                layers.delete(layer);
+                layer.remove();
+            };
+        }
+
+        // Re-adds the API layers to a newly created map
+        function attachLayers(map) {
+            layers.forEach(layer => _safely('custom layer', () => layer.addTo(map)));
+        }
+
+        // Adds a section below the place details. render(container, state) fills the given
+        // element; returns { refresh(), remove() }
+        function addInfoSection(id, { title, render }) {
+            if (!id || typeof render !== 'function') throw new Error('OpenGuessrHelper: addInfoSection() needs an id and a render function');
+            sections.set(id, { title: title || id, render });
+            renderPlaceDetails();
+            return {
+                refresh: () => renderPlaceDetails(),
+                remove: () => {
+                    sections.delete(id);
+                    renderPlaceDetails();
+                }
+            };
+        }
+
+        // Appends the API sections to the place details container
+        function renderSections(container) {
+            if (!sections.size) return;
+            const state = getState();
+            sections.forEach(({ title, render }, id) => {
+                const heading = document.createElement('div');
+                heading.className = 'panel-section-title';
+                heading.textContent = title;
+                const body = document.createElement('div');
+                body.className = 'plugin-section';
+                body.dataset.section = id;
+                container.appendChild(heading);
+                container.appendChild(body);
+                _safely(`info section "${id}"`, render, body, state);
+            });
+        }
+
+        // Registers a position provider; returns a function that removes it again,
+        // bringing back the provider it replaced, if any
+        function registerPositionProvider(provider) {
+            const previous = PositionModule.getProviders().find(p => provider && p.name === provider.name);
+            PositionModule.registerProvider(provider);
+            return () => {
+                if (previous) PositionModule.registerProvider(previous);
+                else PositionModule.unregisterProvider(provider.name);
+            };
+        }
+
+        // Registers a reverse geocoder backend; returns a function that removes it again,
+        // bringing back the backend it replaced, if any
+        function registerGeocoderBackend(name, backend) {
+            const previous = GeocoderBackends[name];
+            Geocoder.registerBackend(name, backend);
+            return () => {
+                if (GeocoderBackends[name] !== backend) return; // Replaced again since
+                if (previous) Geocoder.registerBackend(name, previous);
+                else delete GeocoderBackends[name];
+            };
+        }
+
+        // API handed to a plugin: registrations are tracked so teardown can undo them
+        function _pluginApi(entry) {
+            const track = cleanup => {
+                entry.cleanups.push(cleanup);
+                return cleanup;
+            };
+            return {
+                ...api,
+                on: (event, cb) => track(on(event, cb)),
+                addLayer: layer => track(addLayer(layer)),
+                registerPositionProvider: provider => track(registerPositionProvider(provider)),
+                registerGeocoderBackend: (name, backend) => track(registerGeocoderBackend(name, backend)),
+                addInfoSection: (id, section) => {
+                    const handle = addInfoSection(id, section);
+                    track(handle.remove);
+                    return handle;
+                }
+            };
+        }
+
+        // Runs a plugin's setup(), which may be async; a throw or a rejection marks the plugin failed
+        function _setup(entry) {
+            if (entry.active) return;
+            entry.active = true;
+            const name = entry.plugin.name;
+            const fail = e => {
+                console.error(`OpenGuessr Helper: Error in plugin "${name}" setup:`, e);
+                // A plugin that failed to set up must not leave listeners or layers behind
+                _teardown(entry);
+                entry.failed = true;
+            };
+            const addTeardown = teardown => {
+                if (typeof teardown !== 'function') return;
+                if (entry.active) entry.cleanups.push(teardown);
+                else _safely(`plugin "${name}" cleanup`, teardown); // Torn down while setup was pending
+            };
+            let result;
+            try {
+                result = entry.plugin.setup(_pluginApi(entry));
+            } catch (e) {
+                fail(e);
+                return;
+            }
+            if (result && typeof result.then === 'function') result.then(addTeardown, fail);
+            else addTeardown(result);
+        }
+
+        function _teardown(entry) {
+            if (!entry.active) return;
+            entry.active = false;
+            if (typeof entry.plugin.teardown === 'function') _safely(`plugin "${entry.plugin.name}" teardown`, () => entry.plugin.teardown());
+            entry.cleanups.splice(0).reverse().forEach(cleanup => _safely(`plugin "${entry.plugin.name}" cleanup`, cleanup));
+        }
+
+        // Registers a plugin { name, setup(api), teardown() }; setup() may be async and may return
+        // (or resolve to) a teardown function. Returns false when setup() threw synchronously;
+        // a later rejection shows up as failed in getPlugins()
+        function registerPlugin(plugin) {
+            if (!plugin || !plugin.name || typeof plugin.setup !== 'function') {
+                throw new Error('OpenGuessrHelper: a plugin needs a name and a setup() function');
+            }
+            unregisterPlugin(plugin.name);
+            const entry = { plugin, active: false, failed: false, cleanups: [] };
+            plugins.set(plugin.name, entry);
+            if (Lifecycle.getState() !== 'destroyed') _setup(entry);
+            return !entry.failed;
+        }
+
+        function unregisterPlugin(name) {
+            const entry = plugins.get(name);
+            if (!entry) return;
+            _teardown(entry);
+            plugins.delete(name);
+        }
+
+        // Plugins are torn down with the helper and set up again when it restarts
+        Lifecycle.onStateChange((state, previous) => {
+            if (state === 'destroyed') plugins.forEach(_teardown);
+            else if (previous === 'destroyed') plugins.forEach(entry => { if (!entry.failed) _setup(entry); });
+            emit('state', { state, previous });
+        });
+        HistoryRecorder.onRoundStart(round => emit('round', _roundSummary(round)));
+
+        const api = Object.freeze({
+            version: API_VERSION,
+            on,
+            getState,
+            getMap: () => minimapInstance,
+            addLayer,
+            addInfoSection,
+            // Starts the helper again after destroy(); tears it down and removes it from the page
+            start: () => Lifecycle.start(),
+            destroy: () => Lifecycle.destroy(),
+            registerPlugin,
+            unregisterPlugin,
+            getPlugins: () => Array.from(plugins.values()).map(e => ({ name: e.plugin.name, active: e.active, failed: e.failed })),
+            registerPositionProvider,
+            unregisterPositionProvider: name => PositionModule.unregisterProvider(name),
+            registerGeocoderBackend
+        });
+
+        return { api, emit, attachLayers, renderSections };
+    })();
+
+    window.OpenGuessrHelper = PublicApi.api;
+    // Lets companion scripts that loaded first pick up the API
+    window.dispatchEvent(new CustomEvent('openguessrhelper:ready', { detail: PublicApi.api }));
+
+    // Tears down on unload; a page restored from the back/forward cache starts over
+    window.addEventListener('pagehide', () => Lifecycle.destroy());
+    window.addEventListener('pageshow', e => {
+        if (e.persisted) Lifecycle.start();
+    });
+
+    Lifecycle.start();
 
 })();